@@ -1,3 +1,5 @@
+const path = require('path');
+
 module.exports = {
   // Delta Exchange API Configuration
   deltaExchange: {
@@ -19,6 +21,90 @@ module.exports = {
     credentials: true
   },
   
+  // Volatility Configuration
+  volatility: {
+    realizedSymbol: process.env.REALIZED_VOL_SYMBOL || 'BTC-PERP', // Product for realized volatility
+    realizedWindowDays: 30 // Daily candles used for realized volatility
+  },
+  
+  // Market Data
+  marketData: {
+    simulationMode: process.env.SIMULATION_MODE === 'true', // Serve generated products instead of Delta's
+    productsRefreshMs: 5 * 60 * 1000 // Product list refresh cycle (and cache lifetime)
+  },
+  
+  // Historical Candles
+  history: {
+    defaultCandles: 100, // Candles returned when no start time is given
+    maxCandles: 10000, // Most candles returned by one request
+    maxCandlesPerRequest: 2000 // Delta's per-request limit; longer ranges are paged
+  },
+  
+  // Strategy Analysis
+  analysis: {
+    perpetualHorizonDays: 30 // Probability and payoff horizon of strategies holding only perpetuals
+  },
+  
+  // Monte Carlo Simulation
+  simulation: {
+    defaultPaths: 10000,
+    maxPaths: 50000,
+    stepsPerDay: 24, // Hourly steps for path monitoring
+    maxSteps: 500,
+    maxPathSteps: 5000000, // Paths x steps budget per run; paths are reduced to fit
+    sliceMs: 20, // Yield to the event loop after simulating this long so other requests are served
+    jumpDefaults: { intensity: 12, mean: -0.01, volatility: 0.05 } // Jump-diffusion: jumps per year, mean and std dev of the log jump
+  },
+  
+  // Trading Fees and Slippage
+  fees: {
+    orderType: 'taker', // Default fill assumption: 'taker' (crosses the spread) or 'maker'
+    options: {
+      makerRate: 0.0002, // Fraction of underlying notional
+      takerRate: 0.0003,
+      premiumCap: 0.10, // Trading and settlement fees capped at this fraction of the premium/settlement value
+      settlementRate: 0.00015
+    },
+    futures: {
+      makerRate: 0.0002,
+      takerRate: 0.0005
+    },
+    slippageMultiplier: 1 // Share of the quoted half spread paid by taker fills
+  },
+  
+  // Backtesting (rolling replay of a strategy over daily candles)
+  backtest: {
+    symbol: process.env.BACKTEST_SYMBOL || 'BTC-PERP', // Underlying candles replayed
+    capital: 10000, // Default starting equity (USD)
+    volatilityWindowDays: 30, // Trailing daily closes for the realized volatility pricing each trade
+    assumedSpreadRate: 0.05, // Option bid/ask spread as a fraction of the premium (no quote history)
+    maxCandles: 3000 // Daily candles fetched per run, including the volatility warm-up
+  },
+  
+  // Margin (Delta-style standard margin and risk-array portfolio margin)
+  margin: {
+    shortOptionRate: 0.10, // Short option charge: mark + max(rate x spot - OTM amount, minimum rate x spot)
+    shortOptionMinRate: 0.05,
+    optionMaintenanceFraction: 0.75, // Maintenance keeps the mark plus this share of the short option charge
+    futuresInitialRate: 0.01, // 100x maximum leverage
+    futuresMaintenanceRate: 0.005,
+    priceScanRange: 0.15, // Risk array: underlying moves of +/- 1/3, 2/3 and 3/3 of this range
+    volScanRange: 0.10, // Risk array: IV shifted up and down by this many vol points
+    extremeMoveMultiplier: 2, // Extreme moves at this multiple of the price scan range...
+    extremeMoveCoverage: 0.35, // ...counting this share of their loss
+    portfolioMaintenanceRatio: 0.8
+  },
+  
+  // Local Storage
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'), // Saved scenarios and cached history
+    historyEnabled: process.env.HISTORY_STORE !== 'false', // Persist candles, tickers and IV snapshots under dataDir/history
+    maxStoredCandles: 100000, // Per symbol and resolution; oldest dropped first
+    tickerSnapshotMs: 5 * 60 * 1000, // At most one stored ticker per product per interval
+    ivSnapshotMs: 5 * 60 * 1000, // At most one stored IV surface snapshot per interval
+    snapshotRetentionDays: 30 // Daily ticker and IV snapshot files older than this are deleted
+  },
+  
   // Rate Limiting
   rateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
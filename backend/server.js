@@ -9,6 +9,13 @@ const config = require('./config');
 const deltaExchangeService = require('./services/deltaExchangeService');
 const optionsCalculator = require('./services/optionsCalculator');
 const bitcoinPriceService = require('./services/bitcoinPriceService');
+const volSurfaceService = require('./services/volSurfaceService');
+const monteCarloService = require('./services/monteCarloService');
+const stressTestService = require('./services/stressTestService');
+const backtestService = require('./services/backtestService');
+const marginService = require('./services/marginService');
+const productRegistry = require('./services/productRegistry');
+const timeSeriesStore = require('./services/timeSeriesStore');
 
 const app = express();
 const server = http.createServer(app);
@@ -31,10 +38,87 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
  let currentBTCPrice = 65000; // Will be updated by Bitcoin price service
 let optionsData = [];
 let marketData = {};
+let marketDataIsMock = false; // Mock snapshots are never written to the history store
+let volSurface = null; // Last implied volatility surface built from marketData (with SVI fit)
+let realizedVolatility = null; // Annualised realized volatility, last IV fallback
+let realizedVolatilityTimer = null;
+let productsTimer = null;
+
+// Build the volatility surface from the market data snapshot, reusing it for a minute
+const getVolSurface = () => {
+  if (Object.keys(marketData).length === 0) {
+    return null;
+  }
+  if (!volSurface || Date.now() - new Date(volSurface.timestamp).getTime() > 60000) {
+    volSurface = volSurfaceService.buildSurface(marketData, currentBTCPrice);
+    if (!marketDataIsMock) {
+      timeSeriesStore.recordIvSnapshot(volSurface);
+    }
+  }
+  return volSurface;
+};
+
+// Refresh realized volatility from daily candles (live or stored, never mock:
+// on failure the previous value, or none, stays in place)
+const refreshRealizedVolatility = async () => {
+  try {
+    const { realizedSymbol, realizedWindowDays } = config.volatility;
+    const candles = await deltaExchangeService.getHistoricalData(realizedSymbol, '1d', {
+      limit: realizedWindowDays + 1,
+      allowMock: false
+    });
+    const closes = candles.map(candle => parseFloat(candle.close));
+    const volatility = optionsCalculator.calculateRealizedVolatility(closes);
+    if (volatility) {
+      realizedVolatility = volatility;
+      console.log(`Realized volatility updated to: ${(volatility * 100).toFixed(2)}%`);
+    }
+  } catch (error) {
+    console.error('Error refreshing realized volatility:', error.message);
+  }
+};
+
+// Tag market data entries with their product id and parsed symbol fields and
+// index them by product id in the registry
+const registerMarketData = (data) => {
+  Object.values(data).forEach(entry => {
+    entry.parsed = productRegistry.parseSymbol(entry.symbol);
+    entry.product_id = productRegistry.resolveTickerProductId(entry);
+  });
+  productRegistry.setTickers(Object.values(data));
+  return data;
+};
+
+// Strategy metrics with the margin requirement they report and use for return on
+// margin, both valued at the same time (options.asOf, default now)
+const calculateStrategyWithMargin = (strategy, price, options) => {
+  const asOf = optionsCalculator.getValuationDate(options);
+  const margin = marginService.calculateMargin(strategy, price, { ...options, asOf });
+  const metrics = optionsCalculator.calculateStrategyMetrics(strategy, price, {
+    ...options,
+    asOf,
+    marginRequirement: margin.initialMargin
+  });
+  return { ...metrics, margin };
+};
+
+// Error message for an unparseable options.asOf (valuation time), else null
+const validateAsOf = (options = {}) => (isNaN(optionsCalculator.getValuationDate(options).getTime())
+  ? 'asOf must be an ISO date or Unix timestamp'
+  : null);
 
 // Initialize services
 deltaExchangeService.connectWebSocket();
 bitcoinPriceService.startPeriodicUpdates();
+refreshRealizedVolatility();
+realizedVolatilityTimer = setInterval(refreshRealizedVolatility, 60 * 60 * 1000);
+if (!config.marketData.simulationMode) {
+  const refreshProducts = () => deltaExchangeService.refreshProducts()
+    .then(products => console.log(`Product list refreshed: ${products.length} products`))
+    .catch(error => console.error('Error refreshing products:', error.message));
+  refreshProducts();
+  productsTimer = setInterval(refreshProducts, config.marketData.productsRefreshMs);
+}
 
 // Subscribe to Bitcoin price updates
 bitcoinPriceService.subscribe((priceData) => {
@@ -68,7 +152,11 @@ io.on('connection', (socket) => {
 
   socket.on('calculateStrategy', (strategy) => {
     try {
-      const metrics = optionsCalculator.calculateStrategyMetrics(strategy, currentBTCPrice);
+      const metrics = calculateStrategyWithMargin(strategy, currentBTCPrice, {
+        marketData,
+        volSurface: getVolSurface()?.fit,
+        realizedVolatility
+      });
       socket.emit('strategyCalculated', metrics);
     } catch (error) {
       socket.emit('calculationError', { error: error.message });
@@ -77,7 +165,11 @@ io.on('connection', (socket) => {
 
   socket.on('calculateOption', (option) => {
     try {
-      const metrics = optionsCalculator.calculateOptionMetrics(option, currentBTCPrice);
+      const metrics = optionsCalculator.calculateOptionMetrics(option, currentBTCPrice, {
+        marketData,
+        volSurface: getVolSurface()?.fit,
+        realizedVolatility
+      });
       socket.emit('optionCalculated', metrics);
     } catch (error) {
       socket.emit('calculationError', { error: error.message });
@@ -87,94 +179,62 @@ io.on('connection', (socket) => {
 
 // API Routes
 
-// Get all BTC options and futures
-  app.get('/api/products', async (req, res) => {
-    // Always return mock products for now to ensure data display
-    console.log('Generating mock products for display...');
-    const mockProducts = [];
-    
-         // Generate mock BTC options based on Delta Exchange format
-     // Generate strikes around current BTC price
-     const basePrice = Math.round(currentBTCPrice / 1000) * 1000; // Round to nearest 1000
-     const strikes = [
-       basePrice - 2000,
-       basePrice - 1000,
-       basePrice,
-       basePrice + 1000,
-       basePrice + 2000,
-       basePrice + 3000
-     ];
-    // Generate realistic near-term expiration dates (today and next few days)
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const dayAfterTomorrow = new Date(today);
-    dayAfterTomorrow.setDate(today.getDate() + 2);
-    
-    const expiries = [
-      today.getFullYear().toString().slice(-2) + 
-      (today.getMonth() + 1).toString().padStart(2, '0') + 
-      today.getDate().toString().padStart(2, '0'),
-      tomorrow.getFullYear().toString().slice(-2) + 
-      (tomorrow.getMonth() + 1).toString().padStart(2, '0') + 
-      tomorrow.getDate().toString().padStart(2, '0'),
-      dayAfterTomorrow.getFullYear().toString().slice(-2) + 
-      (dayAfterTomorrow.getMonth() + 1).toString().padStart(2, '0') + 
-      dayAfterTomorrow.getDate().toString().padStart(2, '0')
-    ]; // Format: YYMMDD - Today, tomorrow, and day after tomorrow
-    
-    strikes.forEach(strike => {
-      expiries.forEach(expiry => {
-        // Call options
-        mockProducts.push({
-          id: `call_${strike}_${expiry}`,
-          symbol: `C-BTC-${strike}-${expiry.replace(/-/g, '')}`,
-          contractType: 'call_option',
-          strikePrice: strike,
-          expirationDate: expiry,
-          underlyingAsset: 'BTC',
-          tickSize: 0.1,
-          lotSize: 1,
-          minOrderSize: 0.01,
-          maxOrderSize: 1000,
-          isActive: true
-        });
-        
-        // Put options
-        mockProducts.push({
-          id: `put_${strike}_${expiry}`,
-          symbol: `P-BTC-${strike}-${expiry.replace(/-/g, '')}`,
-          contractType: 'put_option',
-          strikePrice: strike,
-          expirationDate: expiry,
-          underlyingAsset: 'BTC',
-          tickSize: 0.1,
-          lotSize: 1,
-          minOrderSize: 0.01,
-          maxOrderSize: 1000,
-          isActive: true
-        });
-      });
+// Get all BTC options and futures (source: live, cache or mock in simulation mode)
+app.get('/api/products', async (req, res) => {
+  try {
+    const { products, source, fetchedAt, stale, error } = await deltaExchangeService.getProducts(currentBTCPrice, {
+      refresh: req.query.refresh === 'true'
     });
-    
-    // Add futures
-    mockProducts.push({
-      id: 'futures_1',
-      symbol: 'BTC-PERP',
-      contractType: 'futures',
-      strikePrice: null,
-      expirationDate: 'PERP', // Perpetual futures don't expire
-      underlyingAsset: 'BTC',
-      tickSize: 0.1,
-      lotSize: 1,
-      minOrderSize: 0.01,
-      maxOrderSize: 1000,
-      isActive: true
+    res.json({
+      success: true,
+      data: products,
+      source,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      stale,
+      ...(error && { warning: `Refresh failed, serving cached products: ${error}` })
     });
-    
-    console.log(`Generated ${mockProducts.length} mock products`);
-    res.json({ success: true, data: mockProducts, mock: true });
-  });
+  } catch (error) {
+    console.error('Error fetching products:', error.message);
+    res.status(503).json({ success: false, error: `Products unavailable: ${error.message}` });
+  }
+});
+
+// Get one product by id with its parsed symbol fields and latest ticker
+app.get('/api/products/:productId', async (req, res) => {
+  try {
+    await deltaExchangeService.getProducts(currentBTCPrice);
+    const product = productRegistry.getProduct(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, error: `Unknown product: ${req.params.productId}` });
+    }
+    res.json({ success: true, data: { product, ticker: productRegistry.getTicker(product.id) } });
+  } catch (error) {
+    console.error('Error looking up product:', error.message);
+    res.status(503).json({ success: false, error: `Products unavailable: ${error.message}` });
+  }
+});
+
+// Parse a Delta symbol into structured fields (with the product id when it is listed)
+app.get('/api/symbols/:symbol', (req, res) => {
+  const parsed = productRegistry.parseSymbol(req.params.symbol);
+  if (!parsed) {
+    return res.status(400).json({ success: false, error: `Unrecognised symbol: ${req.params.symbol}` });
+  }
+  const product = productRegistry.getProductBySymbol(req.params.symbol);
+  res.json({ success: true, data: { ...parsed, productId: product ? product.id : null } });
+});
+
+// Get listed option expiries with time to expiry, strike count, ATM strike/IV, open interest and volume
+app.get('/api/expirations', async (req, res) => {
+  try {
+    const { source } = await deltaExchangeService.getProducts(currentBTCPrice);
+    const expirations = productRegistry.getExpirations(currentBTCPrice, getVolSurface());
+    res.json({ success: true, data: expirations, source, underlyingPrice: currentBTCPrice });
+  } catch (error) {
+    console.error('Error listing expirations:', error.message);
+    res.status(503).json({ success: false, error: `Products unavailable: ${error.message}` });
+  }
+});
 
 // Get current Bitcoin price
 app.get('/api/bitcoin-price', async (req, res) => {
@@ -209,10 +269,10 @@ app.get('/api/market-data', async (req, res) => {
       throw new Error('Invalid response format from Delta Exchange API');
     }
     
-    const btcTickers = data.result.filter(ticker => 
-      ticker.symbol && ticker.symbol.includes('BTC') && 
-      (ticker.symbol.includes('C') || ticker.symbol.includes('P') || ticker.symbol.includes('PERP'))
-    );
+    const btcTickers = data.result.filter(ticker => {
+      const parsed = productRegistry.parseSymbol(ticker.symbol);
+      return parsed !== null && parsed.underlying === 'BTC';
+    });
     
     console.log(`Found ${btcTickers.length} BTC tickers from real API`);
     
@@ -251,6 +311,9 @@ app.get('/api/market-data', async (req, res) => {
         return acc;
       }, {});
       
+      marketDataIsMock = false;
+      registerMarketData(marketData);
+      Object.values(marketData).forEach(entry => timeSeriesStore.recordTicker(entry, entry.product_id));
       res.json({ success: true, data: marketData, mock: false });
       return;
     }
@@ -375,8 +438,9 @@ app.get('/api/market-data', async (req, res) => {
       });
     });
     
-    marketData = mockData;
-    res.json({ success: true, data: mockData, mock: true });
+    marketData = registerMarketData(mockData);
+    marketDataIsMock = true;
+    res.json({ success: true, data: marketData, mock: true });
   }
 });
 
@@ -393,24 +457,143 @@ app.get('/api/orderbook/:productId', async (req, res) => {
   }
 });
 
-// Get historical data for backtesting
+// Parse a time query value: ISO string, Unix seconds or Unix milliseconds (null if absent)
+const parseTimeParam = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  const date = Number.isFinite(numeric) ? new Date(numeric < 1e12 ? numeric * 1000 : numeric) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Get historical candles for backtesting ({ time (Unix ms), open, high, low, close, volume }, oldest first).
+// Query: resolution (1m-1w, alias interval), start/end (alias startTime/endTime), limit
 app.get('/api/historical/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
-    const { interval = '1D', limit = 100 } = req.query;
-    const historicalData = await deltaExchangeService.getHistoricalData(productId, interval, limit);
-    res.json({ success: true, data: historicalData });
+    const { limit } = req.query;
+    const interval = req.query.resolution || req.query.interval || '1d';
+    const start = parseTimeParam(req.query.start !== undefined ? req.query.start : req.query.startTime);
+    const end = parseTimeParam(req.query.end !== undefined ? req.query.end : req.query.endTime);
+
+    if (!deltaExchangeService.normalizeResolution(interval)) {
+      return res.status(400).json({ success: false, error: 'resolution must be one of 1m, 3m, 5m, 15m, 30m, 1h, 2h, 4h, 6h, 1d, 1w' });
+    }
+    if (start === undefined || end === undefined) {
+      return res.status(400).json({ success: false, error: 'start and end must be ISO dates or Unix timestamps' });
+    }
+    if (start && end && start >= end) {
+      return res.status(400).json({ success: false, error: 'start must be before end' });
+    }
+    if (limit !== undefined && !(parseInt(limit, 10) > 0)) {
+      return res.status(400).json({ success: false, error: 'limit must be a positive integer' });
+    }
+
+    // Numeric product ids resolve to symbols through the product registry
+    if (!productRegistry.parseSymbol(productId) && !productRegistry.getProduct(productId)) {
+      await deltaExchangeService.getProducts(currentBTCPrice).catch(() => null);
+    }
+
+    const candles = await deltaExchangeService.getHistoricalData(productId, interval, { start, end, limit });
+    res.json({
+      success: true,
+      data: candles,
+      resolution: deltaExchangeService.normalizeResolution(interval).resolution,
+      count: candles.length
+    });
   } catch (error) {
     console.error('Error fetching historical data:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Stored history: candle series, and the days of ticker and IV snapshots on disk
+app.get('/api/history/status', async (req, res) => {
+  try {
+    const status = await timeSeriesStore.getStatus();
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Error reading history status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Resolve start/end query values to a Unix ms window (default: the last day);
+// returns null when either is invalid or start is not before end
+const resolveHistoryWindow = (query) => {
+  const start = parseTimeParam(query.start);
+  const end = parseTimeParam(query.end);
+  if (start === undefined || end === undefined) {
+    return null;
+  }
+  const to = end ? end.getTime() : Date.now();
+  const from = start ? start.getTime() : to - 24 * 60 * 60 * 1000;
+  return from < to ? { from, to } : null;
+};
+
+// Stored ticker snapshots of a symbol (mark, bid/ask, IVs, OI, volume)
+app.get('/api/history/tickers/:symbol', async (req, res) => {
+  try {
+    const window = resolveHistoryWindow(req.query);
+    if (!window) {
+      return res.status(400).json({ success: false, error: 'start and end must be ISO dates or Unix timestamps, start before end' });
+    }
+    const tickers = await timeSeriesStore.getTickers(req.params.symbol, window.from, window.to);
+    res.json({ success: true, data: tickers, count: tickers.length });
+  } catch (error) {
+    console.error('Error reading ticker history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stored IV surface snapshots (per expiry ATM IV, forward and strike IVs); expiry filters to one YYMMDD expiry
+app.get('/api/history/iv', async (req, res) => {
+  try {
+    const window = resolveHistoryWindow(req.query);
+    if (!window) {
+      return res.status(400).json({ success: false, error: 'start and end must be ISO dates or Unix timestamps, start before end' });
+    }
+    const snapshots = await timeSeriesStore.getIvSnapshots(window.from, window.to, req.query.expiry || null);
+    res.json({ success: true, data: snapshots, count: snapshots.length });
+  } catch (error) {
+    console.error('Error reading IV history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the implied volatility smile/surface from the market data snapshot
+app.get('/api/vol-surface', (req, res) => {
+  try {
+    if (Object.keys(marketData).length === 0) {
+      return res.status(503).json({ success: false, error: 'No market data snapshot available yet' });
+    }
+    const { model, forwardSymbol, basis, rate } = req.query;
+    const customPricing = model || forwardSymbol || basis || rate;
+    const surface = customPricing
+      ? volSurfaceService.buildSurface(marketData, currentBTCPrice, { model, forwardSymbol, basis, rate })
+      : getVolSurface();
+    res.json({ success: true, data: surface });
+  } catch (error) {
+    console.error('Error building volatility surface:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Calculate option metrics
 app.post('/api/calculate/option', (req, res) => {
   try {
-    const { option, currentPrice } = req.body;
-    const metrics = optionsCalculator.calculateOptionMetrics(option, currentPrice || currentBTCPrice);
+    const { option, currentPrice, options = {} } = req.body;
+    const invalidAsOf = validateAsOf(options);
+    if (invalidAsOf) {
+      return res.status(400).json({ success: false, error: invalidAsOf });
+    }
+    const metrics = optionsCalculator.calculateOptionMetrics(option, currentPrice || currentBTCPrice, {
+      ...options,
+      marketData,
+      volSurface: getVolSurface()?.fit,
+      realizedVolatility
+    });
     res.json({ success: true, data: metrics });
   } catch (error) {
     console.error('Error calculating option metrics:', error);
@@ -418,11 +601,44 @@ app.post('/api/calculate/option', (req, res) => {
   }
 });
 
+// Price a whole option chain in one call (theoretical values and Greeks per option)
+app.post('/api/calculate/chain', (req, res) => {
+  try {
+    const { products, currentPrice, options = {} } = req.body;
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ success: false, error: 'products must be a non-empty array of options' });
+    }
+    const invalidAsOf = validateAsOf(options);
+    if (invalidAsOf) {
+      return res.status(400).json({ success: false, error: invalidAsOf });
+    }
+    const chain = optionsCalculator.priceChain(products, currentPrice || currentBTCPrice, {
+      ...options,
+      marketData,
+      volSurface: getVolSurface()?.fit,
+      realizedVolatility
+    });
+    res.json({ success: true, data: chain });
+  } catch (error) {
+    console.error('Error pricing option chain:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Calculate strategy metrics
 app.post('/api/calculate/strategy', (req, res) => {
   try {
-    const { strategy, currentPrice } = req.body;
-    const metrics = optionsCalculator.calculateStrategyMetrics(strategy, currentPrice || currentBTCPrice);
+    const { strategy, currentPrice, options = {} } = req.body;
+    const invalidAsOf = validateAsOf(options);
+    if (invalidAsOf) {
+      return res.status(400).json({ success: false, error: invalidAsOf });
+    }
+    const metrics = calculateStrategyWithMargin(strategy, currentPrice || currentBTCPrice, {
+      ...options,
+      marketData,
+      volSurface: getVolSurface()?.fit,
+      realizedVolatility
+    });
     res.json({ success: true, data: metrics });
   } catch (error) {
     console.error('Error calculating strategy metrics:', error);
@@ -430,6 +646,202 @@ app.post('/api/calculate/strategy', (req, res) => {
   }
 });
 
+// Calculate initial and maintenance margin (standard or risk-array portfolio mode)
+app.post('/api/calculate/margin', (req, res) => {
+  try {
+    const { strategy, currentPrice, options = {} } = req.body;
+    if (!strategy || !Array.isArray(strategy.legs) || strategy.legs.length === 0) {
+      return res.status(400).json({ success: false, error: 'strategy with at least one leg is required' });
+    }
+    const invalidAsOf = validateAsOf(options);
+    if (invalidAsOf) {
+      return res.status(400).json({ success: false, error: invalidAsOf });
+    }
+    const margin = marginService.calculateMargin(strategy, currentPrice || currentBTCPrice, {
+      ...options,
+      marketData,
+      volSurface: getVolSurface()?.fit,
+      realizedVolatility
+    });
+    res.json({ success: true, data: margin });
+  } catch (error) {
+    console.error('Error calculating margin:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revalue a strategy over an underlying move x IV shift grid at a horizon date
+app.post('/api/calculate/scenarios', (req, res) => {
+  try {
+    const { strategy, currentPrice, options = {} } = req.body;
+    if (!strategy || !Array.isArray(strategy.legs) || strategy.legs.length === 0) {
+      return res.status(400).json({ success: false, error: 'strategy with at least one leg is required' });
+    }
+    const invalidAsOf = validateAsOf(options);
+    if (invalidAsOf) {
+      return res.status(400).json({ success: false, error: invalidAsOf });
+    }
+    const scenarios = optionsCalculator.calculateScenarioMatrix(strategy, currentPrice || currentBTCPrice, {
+      ...options,
+      marketData,
+      volSurface: getVolSurface()?.fit,
+      realizedVolatility
+    });
+    res.json({ success: true, data: scenarios });
+  } catch (error) {
+    console.error('Error calculating scenarios:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List built-in and saved custom stress scenarios
+app.get('/api/stress-tests/scenarios', async (req, res) => {
+  try {
+    const scenarios = await stressTestService.getScenarios();
+    res.json({ success: true, data: scenarios });
+  } catch (error) {
+    console.error('Error fetching stress scenarios:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Save a custom stress scenario
+app.post('/api/stress-tests/scenarios', async (req, res) => {
+  try {
+    const validationError = stressTestService.validateScenario(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    const scenario = await stressTestService.addScenario(req.body);
+    res.status(201).json({ success: true, data: scenario });
+  } catch (error) {
+    console.error('Error saving stress scenario:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a custom stress scenario
+app.delete('/api/stress-tests/scenarios/:id', async (req, res) => {
+  try {
+    const deleted = await stressTestService.deleteScenario(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Custom scenario not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting stress scenario:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run stress scenarios against a strategy or a portfolio of strategies
+app.post('/api/stress-tests/run', async (req, res) => {
+  try {
+    const { strategy, portfolio, currentPrice, scenarioIds, scenarios = [], options = {} } = req.body;
+    const strategies = Array.isArray(portfolio) ? portfolio : strategy ? [strategy] : [];
+    if (strategies.length === 0 || strategies.some(s => !Array.isArray(s.legs) || s.legs.length === 0)) {
+      return res.status(400).json({ success: false, error: 'strategy or portfolio with legs is required' });
+    }
+    if (!Array.isArray(scenarios)) {
+      return res.status(400).json({ success: false, error: 'scenarios must be an array of scenario definitions' });
+    }
+    if (scenarioIds !== undefined && !Array.isArray(scenarioIds)) {
+      return res.status(400).json({ success: false, error: 'scenarioIds must be an array of scenario ids' });
+    }
+    const unknownIds = await stressTestService.findUnknownScenarioIds(scenarioIds);
+    if (unknownIds.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown scenario ids: ${unknownIds.join(', ')}` });
+    }
+    const invalid = scenarios.map(scenario => stressTestService.validateScenario(scenario)).find(Boolean);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    const invalidAsOf = validateAsOf(options);
+    if (invalidAsOf) {
+      return res.status(400).json({ success: false, error: invalidAsOf });
+    }
+    const report = await stressTestService.runStressTests(strategies, currentPrice || currentBTCPrice, {
+      ...options,
+      scenarioIds,
+      adhocScenarios: scenarios,
+      marketData,
+      volSurface: getVolSurface()?.fit,
+      realizedVolatility
+    });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error running stress tests:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Simulate strategy P&L paths (Monte Carlo distribution, VaR/CVaR, touch probabilities)
+app.post('/api/simulate/strategy', async (req, res) => {
+  try {
+    const { strategy, currentPrice, options = {} } = req.body;
+    if (!strategy || !Array.isArray(strategy.legs) || strategy.legs.length === 0) {
+      return res.status(400).json({ success: false, error: 'strategy with at least one leg is required' });
+    }
+    const validationError = monteCarloService.validateOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    const simulation = await monteCarloService.simulateStrategy(strategy, currentPrice || currentBTCPrice, {
+      ...options,
+      marketData,
+      volSurface: getVolSurface()?.fit,
+      realizedVolatility
+    });
+    res.json({ success: true, data: simulation });
+  } catch (error) {
+    console.error('Error simulating strategy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Backtest a strategy over historical daily candles, net of trading fees, slippage
+// and settlement fees (options.start/end bound the trade entries)
+app.post('/api/backtest', async (req, res) => {
+  try {
+    const { strategy, currentPrice, options = {} } = req.body;
+    const invalid = backtestService.validateOptions(strategy, options);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    const start = parseTimeParam(options.start);
+    const end = parseTimeParam(options.end);
+    if (start === undefined || end === undefined) {
+      return res.status(400).json({ success: false, error: 'start and end must be ISO dates or Unix timestamps' });
+    }
+    if (start && end && start >= end) {
+      return res.status(400).json({ success: false, error: 'start must be before end' });
+    }
+
+    const { symbol, volatilityWindowDays, maxCandles } = config.backtest;
+    let candles;
+    try {
+      candles = await deltaExchangeService.getHistoricalData(symbol, '1d', {
+        start: start ? new Date(start.getTime() - (volatilityWindowDays + 1) * 24 * 60 * 60 * 1000) : undefined,
+        end: end || undefined,
+        limit: maxCandles,
+        allowMock: false
+      });
+    } catch (error) {
+      return res.status(503).json({ success: false, error: `Historical data unavailable: ${error.message}` });
+    }
+
+    const report = backtestService.runBacktest(strategy, candles, currentPrice || currentBTCPrice, {
+      ...options,
+      start,
+      end
+    });
+    res.json({ success: true, data: { ...report, symbol } });
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -444,9 +856,11 @@ app.get('/api/health', (req, res) => {
 // Get implied volatility
 app.post('/api/calculate/iv', (req, res) => {
   try {
-    const { S, K, T, r, marketPrice, optionType } = req.body;
-    const iv = optionsCalculator.calculateImpliedVolatility(S, K, T, r, marketPrice, optionType);
-    res.json({ success: true, data: { impliedVolatility: iv } });
+    const { S, F, K, T, r, marketPrice, optionType, model } = req.body;
+    const rate = r !== undefined ? r : optionsCalculator.riskFreeRate;
+    const underlying = model === 'black76' && F ? F : S;
+    const solution = optionsCalculator.solveImpliedVolatility(underlying, K, T, rate, marketPrice, optionType, model);
+    res.json({ success: true, data: { ...solution, model: model || 'black-scholes' } });
   } catch (error) {
     console.error('Error calculating implied volatility:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -456,9 +870,17 @@ app.post('/api/calculate/iv', (req, res) => {
 // Get Greeks
 app.post('/api/calculate/greeks', (req, res) => {
   try {
-    const { S, K, T, r, sigma, optionType } = req.body;
-    const greeks = optionsCalculator.calculateGreeks(S, K, T, r, sigma, optionType);
-    res.json({ success: true, data: greeks });
+    const { S, F, K, T, r, sigma, optionType, model, units } = req.body;
+    const rate = r !== undefined ? r : optionsCalculator.riskFreeRate;
+    const underlying = model === 'black76' ? (F || S) : S;
+    const rawGreeks = model === 'black76'
+      ? optionsCalculator.calculateBlack76Greeks(underlying, K, T, rate, sigma, optionType)
+      : optionsCalculator.calculateGreeks(underlying, K, T, rate, sigma, optionType);
+    const greeks = optionsCalculator.convertGreekUnits(rawGreeks, underlying, units);
+    res.json({
+      success: true,
+      data: { ...greeks, model: model || 'black-scholes', greekUnits: optionsCalculator.getGreekUnits(units) }
+    });
   } catch (error) {
     console.error('Error calculating Greeks:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -484,14 +906,15 @@ app.get('/api/test', (req, res) => {
 // Test endpoint for products and market data matching
 app.get('/api/test-matching', async (req, res) => {
   try {
-    const products = await deltaExchangeService.getBTCOptionsAndFutures();
+    const { products } = await deltaExchangeService.getProducts(currentBTCPrice);
     const productSymbols = products.map(p => p.symbol);
     const marketDataSymbols = Object.keys(marketData);
     
-    const matches = productSymbols.map(productSymbol => {
-      const marketInfo = marketData[productSymbol];
+    const matches = products.map(product => {
+      const marketInfo = productRegistry.getTicker(product.id);
       return {
-        productSymbol,
+        productId: product.id,
+        productSymbol: product.symbol,
         hasMarketData: !!marketInfo,
         marketData: marketInfo || null
       };
@@ -542,9 +965,11 @@ process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
   deltaExchangeService.disconnect();
   bitcoinPriceService.stopPeriodicUpdates();
+  clearInterval(realizedVolatilityTimer);
+  clearInterval(productsTimer);
   server.close(() => {
     console.log('Server closed');
-    process.exit(0);
+    timeSeriesStore.flush().finally(() => process.exit(0));
   });
 });
 
@@ -552,9 +977,11 @@ process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
   deltaExchangeService.disconnect();
   bitcoinPriceService.stopPeriodicUpdates();
+  clearInterval(realizedVolatilityTimer);
+  clearInterval(productsTimer);
   server.close(() => {
     console.log('Server closed');
-    process.exit(0);
+    timeSeriesStore.flush().finally(() => process.exit(0));
   });
 });
 
@@ -0,0 +1,237 @@
+const optionsCalculator = require('./optionsCalculator');
+const feeService = require('./feeService');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Replays a strategy over daily underlying candles. The strategy is kept in
+// relative terms (strike / reference price, days to each leg's expiry) and rolled:
+// each trade opens at a daily close, is valued at its first expiry, and the next
+// one opens there. There is no option price history, so premiums are Black-Scholes
+// values at trailing realized volatility, quoted with an assumed spread. Every
+// trade's P&L is net of trading fees, slippage and settlement fees (feeService);
+// the P&L before fees is reported alongside.
+class BacktestService {
+  constructor() {
+    this.settings = config.backtest;
+  }
+
+  // Validate backtest options against the strategy; returns an error message or null
+  validateOptions(strategy, options = {}) {
+    if (!strategy || !Array.isArray(strategy.legs) || strategy.legs.length === 0) {
+      return 'strategy with at least one leg is required';
+    }
+    if (strategy.legs.some(leg => !leg.option || (leg.option.contractType !== 'futures' && !(leg.option.strikePrice > 0)))) {
+      return 'every option leg needs a strike';
+    }
+    if (options.capital !== undefined && !(parseFloat(options.capital) > 0)) {
+      return 'capital must be a positive number';
+    }
+    return null;
+  }
+
+  // Reference price and time the strategy's strikes and expiries are measured
+  // from: the saved strategy's currentPrice and timestamp, else the request's
+  getReference(strategy, currentPrice) {
+    const savedAt = new Date(strategy.timestamp);
+    return {
+      price: parseFloat(strategy.currentPrice) > 0 ? parseFloat(strategy.currentPrice) : currentPrice,
+      time: isNaN(savedAt.getTime()) ? new Date() : savedAt
+    };
+  }
+
+  // Legs in relative terms: moneyness (strike / reference price) and whole days
+  // from the reference time to expiry (null for perpetuals)
+  toRelativeLegs(strategy, reference) {
+    return strategy.legs.map(leg => {
+      const settlement = optionsCalculator.getSettlementDate(leg.option);
+      const days = settlement ? Math.max(1, Math.round((settlement - reference.time) / DAY_MS)) : null;
+      return {
+        leg,
+        moneyness: leg.option.contractType === 'futures' ? null : leg.option.strikePrice / reference.price,
+        days
+      };
+    });
+  }
+
+  // Holding period of one trade in days: the first option expiry, else the
+  // first dated futures expiry, else the perpetual horizon
+  getHoldingDays(relativeLegs) {
+    const optionDays = relativeLegs.filter(({ leg, days }) => leg.option.contractType !== 'futures' && days !== null);
+    const datedDays = optionDays.length > 0 ? optionDays : relativeLegs.filter(({ days }) => days !== null);
+    return datedDays.length > 0
+      ? Math.min(...datedDays.map(({ days }) => days))
+      : config.analysis.perpetualHorizonDays;
+  }
+
+  // Open the strategy at a historical close: strikes scaled to the spot, expiries
+  // counted from the entry, option premiums at the model value with the assumed
+  // spread as the quote (so taker entries pay slippage), futures at the spot.
+  // pricing is resolved at the spot (see optionsCalculator.resolvePricing)
+  openTrade(relativeLegs, spot, entryDate, volatility, pricing, fees) {
+    const { assumedSpreadRate } = this.settings;
+    const legs = relativeLegs.map(({ leg, moneyness, days }, index) => {
+      const option = {
+        symbol: `${leg.option.symbol || 'leg'}#${index}`,
+        contractType: leg.option.contractType,
+        contractSettlement: leg.option.contractSettlement,
+        lotSize: leg.option.lotSize,
+        strikePrice: moneyness !== null ? Math.round(spot * moneyness) : undefined,
+        settlementTime: days !== null ? new Date(entryDate.getTime() + days * DAY_MS).toISOString() : null
+      };
+      if (option.contractType === 'futures') {
+        return { action: leg.action, quantity: leg.quantity, option, price: spot };
+      }
+
+      const metrics = optionsCalculator.calculateOptionMetrics(option, spot, {
+        pricing,
+        asOf: entryDate,
+        volatilityOverride: volatility
+      });
+      const mid = metrics.settlement === 'inverse' ? metrics.priceBTC : metrics.price;
+      return {
+        action: leg.action,
+        quantity: leg.quantity,
+        impliedVolatility: volatility,
+        option: { ...option, best_bid: mid * (1 - assumedSpreadRate / 2), best_ask: mid * (1 + assumedSpreadRate / 2) }
+      };
+    });
+
+    return optionsCalculator.prepareStrategyLegs({ legs }, spot, { pricing, asOf: entryDate, fees });
+  }
+
+  // Run a backtest over daily candles ({ time, close }, oldest first).
+  // options.start/end: Dates bounding the trade entries (default: all candles
+  //   after the volatility warm-up)
+  // options.capital: starting equity (default config.backtest.capital)
+  // options.fees: fee schedule overrides as for calculateStrategyMetrics, false for none
+  // options.model/rate: pricing model and rate (the forward is each entry's spot)
+  // currentPrice: reference price when the strategy was not saved with one
+  runBacktest(strategy, candles, currentPrice, options = {}) {
+    const { volatilityWindowDays } = this.settings;
+    const capital = parseFloat(options.capital) > 0 ? parseFloat(options.capital) : this.settings.capital;
+    const pricingOptions = { model: options.model, rate: options.rate };
+    const reference = this.getReference(strategy, currentPrice);
+    const relativeLegs = this.toRelativeLegs(strategy, reference);
+    const holdingDays = this.getHoldingDays(relativeLegs);
+
+    // A daily candle closes one day after it opens; the one still forming is left out
+    const closes = candles
+      .map(candle => ({ date: new Date(candle.time + DAY_MS), close: parseFloat(candle.close) }))
+      .filter(candle => candle.close > 0 && candle.date.getTime() <= Date.now());
+    const startTime = options.start ? options.start.getTime() : -Infinity;
+    const endTime = options.end ? options.end.getTime() : Infinity;
+
+    const trades = [];
+    let equity = capital;
+    const equityCurve = [];
+    const firstEntry = closes.findIndex(candle => candle.date.getTime() >= startTime);
+    let index = firstEntry === -1 ? closes.length : Math.max(volatilityWindowDays, firstEntry);
+
+    while (index + holdingDays < closes.length && closes[index + holdingDays].date.getTime() <= endTime) {
+      const entry = closes[index];
+      const exit = closes[index + holdingDays];
+      const window = closes.slice(index - volatilityWindowDays, index + 1).map(candle => candle.close);
+      const entryVolatility = optionsCalculator.calculateRealizedVolatility(window);
+      const exitWindow = closes.slice(index + holdingDays - volatilityWindowDays, index + holdingDays + 1).map(candle => candle.close);
+      const exitVolatility = optionsCalculator.calculateRealizedVolatility(exitWindow) || entryVolatility;
+      const pricing = optionsCalculator.resolvePricing(entry.close, pricingOptions);
+
+      if (equityCurve.length === 0) {
+        equityCurve.push({ date: entry.date.toISOString(), value: equity });
+      }
+
+      const opened = this.openTrade(relativeLegs, entry.close, entry.date, entryVolatility, pricing, options.fees);
+      // Legs outliving the first expiry are valued at the realized volatility then
+      const atExit = {
+        ...opened,
+        legs: opened.legs.map(leg => (leg.option.contractType === 'futures' ? leg : { ...leg, volatility: exitVolatility }))
+      };
+      const pnl = optionsCalculator.calculateStrategyValueAt(atExit, exit.close, exit.date, 0, pricing);
+      const sumLegs = cost => opened.legs.reduce((sum, leg) => sum + cost(leg) * leg.quantity, 0);
+      const tradingFees = sumLegs(leg => leg.fees.tradingFee);
+      const slippage = sumLegs(leg => leg.fees.slippage);
+      const settlementFees = sumLegs(leg => {
+        const settlement = optionsCalculator.getSettlementDate(leg.option);
+        return leg.option.contractType !== 'futures' && settlement && settlement <= exit.date
+          ? optionsCalculator.getLegCosts(leg, exit.close, true, opened.feeSchedule) - leg.fees.entryCosts
+          : 0;
+      });
+      const totalFees = tradingFees + slippage + settlementFees;
+
+      equity += pnl;
+      equityCurve.push({ date: exit.date.toISOString(), value: equity });
+      trades.push({
+        entryDate: entry.date.toISOString(),
+        exitDate: exit.date.toISOString(),
+        entryPrice: entry.close,
+        exitPrice: exit.close,
+        volatility: entryVolatility,
+        strikes: opened.legs.filter(leg => leg.option.strikePrice > 0).map(leg => leg.option.strikePrice),
+        grossPnl: pnl + totalFees,
+        fees: {
+          tradingFees,
+          slippage,
+          settlementFees,
+          total: totalFees
+        },
+        pnl,
+        returnOnCapital: pnl / capital
+      });
+
+      index += holdingDays;
+    }
+
+    return {
+      ...this.summarize(trades, equityCurve, capital, holdingDays),
+      holdingDays,
+      reference: { price: reference.price, time: reference.time.toISOString() },
+      feeSchedule: feeService.resolveSchedule(options.fees),
+      trades
+    };
+  }
+
+  // Performance statistics of a list of trades. Returns are per trade on the
+  // starting capital; the Sharpe ratio is annualised from the holding period.
+  summarize(trades, equityCurve, capital, holdingDays) {
+    const returns = trades.map(trade => trade.returnOnCapital);
+    const count = returns.length;
+    const mean = count > 0 ? returns.reduce((sum, r) => sum + r, 0) / count : 0;
+    const variance = count > 1 ? returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / (count - 1) : 0;
+    const deviation = Math.sqrt(variance);
+
+    let peak = capital;
+    let maxDrawdown = 0;
+    equityCurve.forEach(point => {
+      peak = Math.max(peak, point.value);
+      maxDrawdown = Math.min(maxDrawdown, (point.value - peak) / peak);
+    });
+
+    const sum = key => trades.reduce((total, trade) => total + (key(trade) || 0), 0);
+    const profitableTrades = trades.filter(trade => trade.pnl > 0).length;
+    const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].value : capital;
+
+    return {
+      capital,
+      finalEquity,
+      totalReturn: (finalEquity - capital) / capital,
+      grossReturn: sum(trade => trade.grossPnl) / capital,
+      maxDrawdown,
+      sharpeRatio: deviation > 0 ? mean / deviation * Math.sqrt(365 / holdingDays) : null,
+      winRate: count > 0 ? profitableTrades / count : null,
+      totalTrades: count,
+      profitableTrades,
+      averageReturn: mean,
+      volatility: deviation,
+      totalFees: {
+        tradingFees: sum(trade => trade.fees.tradingFees),
+        slippage: sum(trade => trade.fees.slippage),
+        settlementFees: sum(trade => trade.fees.settlementFees),
+        total: sum(trade => trade.fees.total)
+      },
+      equity: equityCurve
+    };
+  }
+}
+
+module.exports = new BacktestService();
@@ -2,6 +2,23 @@ const axios = require('axios');
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const config = require('../config');
+const productRegistry = require('./productRegistry');
+const timeSeriesStore = require('./timeSeriesStore');
+
+// Candle resolutions offered by Delta Exchange, in seconds
+const RESOLUTION_SECONDS = {
+  '1m': 60,
+  '3m': 3 * 60,
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '30m': 30 * 60,
+  '1h': 60 * 60,
+  '2h': 2 * 60 * 60,
+  '4h': 4 * 60 * 60,
+  '6h': 6 * 60 * 60,
+  '1d': 24 * 60 * 60,
+  '1w': 7 * 24 * 60 * 60
+};
 
 class DeltaExchangeService {
   constructor() {
@@ -12,6 +29,8 @@ class DeltaExchangeService {
     this.ws = null;
     this.isConnected = false;
     this.subscribers = new Map();
+    this.productsCache = { products: null, fetchedAt: null };
+    this.productsRequest = null; // In-flight live fetch shared by concurrent callers
     
     // Test API connection on initialization
     this.testConnection();
@@ -79,7 +98,7 @@ class DeltaExchangeService {
     }
   }
 
-  // Get all BTC options and futures with all expirations
+  // Get all BTC options and futures with all expirations (throws if the API is unavailable)
   async getBTCOptionsAndFutures() {
     try {
       console.log('Fetching products from Delta Exchange...');
@@ -92,41 +111,36 @@ class DeltaExchangeService {
       const products = response.data.result;
       console.log(`Total products received: ${products.length}`);
       
-      // Filter for BTC options and futures (tolerant to field naming)
+      // Filter for BTC options and futures by the underlying and kind parsed from the symbol
       const btcProducts = products.filter(product => {
-        const symbol = product.symbol || product.product_symbol || '';
-        const underlyingObj = product.underlying_asset;
-        const underlyingSymbol = (underlyingObj && (underlyingObj.symbol || underlyingObj.asset || underlyingObj.ticker))
-          || product.underlying_asset_symbol
-          || product.underlying_symbol
-          || '';
-        const isBTC = underlyingSymbol === 'BTC' || symbol.includes('BTC') || product.underlying_asset === 'BTC';
-
-        const ctRaw = (product.contract_type || product.contractType || '').toString().toLowerCase();
-        const isOptionOrFuture = ctRaw.includes('call') || ctRaw.includes('put') || ctRaw.includes('future') || ctRaw.includes('perp');
-        return isBTC && isOptionOrFuture;
+        const parsed = productRegistry.parseSymbol(product.symbol || product.product_symbol);
+        return parsed !== null && parsed.underlying === 'BTC';
       });
 
       console.log(`BTC products found: ${btcProducts.length}`);
 
       // Convert to unified format expected by frontend
       const formattedProducts = btcProducts.map(product => {
-        const ctRaw = (product.contract_type || product.contractType || '').toString().toLowerCase();
-        const contractType = ctRaw.includes('call') ? 'call_option' : ctRaw.includes('put') ? 'put_option' : 'futures';
+        const parsed = productRegistry.parseSymbol(product.symbol || product.product_symbol);
+        const contractType = parsed.contractType;
         const settlement = product.settlement_time || product.settlement || product.expiry_time || product.expiration_time;
         let expiryDate = 'PERP';
         if (settlement) {
           try {
             expiryDate = new Date(settlement).toISOString().split('T')[0];
           } catch (e) {
-            expiryDate = typeof settlement === 'string' ? settlement : '2024-12-31';
+            expiryDate = typeof settlement === 'string' ? settlement : parsed.expiryDate || 'PERP';
           }
-        } else if (contractType !== 'futures') {
-          // Fallback placeholder for options if settlement missing
-          expiryDate = '2024-12-31';
+        } else if (parsed.expiryDate) {
+          // Settlement missing: fall back to the expiry encoded in the symbol
+          expiryDate = parsed.expiryDate;
         }
 
-        const strikePrice = parseFloat(product.strike_price || product.strike || product.strikePrice || 0) || 0;
+        const strikePrice = parseFloat(product.strike_price || product.strike || product.strikePrice || 0) || parsed.strike || 0;
+
+        // Inverse (coin-margined) products settle in BTC; Delta flags them with notional_type
+        const settlingAsset = (product.settling_asset && (product.settling_asset.symbol || product.settling_asset)) || 'USD';
+        const contractSettlement = product.notional_type === 'inverse' || settlingAsset === 'BTC' ? 'inverse' : 'linear';
 
         return {
           id: product.id || product.product_id || `${product.symbol || 'BTC'}_${contractType}_${strikePrice}_${expiryDate}`,
@@ -141,6 +155,8 @@ class DeltaExchangeService {
           maxOrderSize: parseFloat(product.max_order_size || product.maxOrderSize || 1000) || 1000,
           isActive: product.is_active !== undefined ? product.is_active : true,
           settlementTime: settlement || null,
+          contractSettlement,
+          settlingAsset,
           originalData: product
         };
       });
@@ -148,69 +164,107 @@ class DeltaExchangeService {
       return formattedProducts;
     } catch (error) {
       console.error('Error fetching BTC products:', error.response?.data || error.message);
-      
-      // Always return mock data if API fails (for development and fallback)
-      console.log('API failed, returning mock data...');
-      return this.getMockBTCOptions();
+      throw error;
     }
   }
 
-  // Mock BTC options data for development
-  getMockBTCOptions() {
-    const currentPrice = 45000; // Mock BTC price
-    const mockOptions = [];
-    
-    // Generate mock call options
-    for (let i = 0; i < 5; i++) {
-      const strike = currentPrice + (i * 1000);
-      mockOptions.push({
-        id: `call_${i}`,
-        symbol: `BTC-${strike}-C`,
-        contractType: 'call_option',
-        strikePrice: strike,
-        expirationDate: Date.now() + (30 * 24 * 60 * 60 * 1000), // 30 days from now
-        underlyingAsset: 'BTC',
-        tickSize: 0.1,
-        lotSize: 1,
-        minOrderSize: 0.01,
-        maxOrderSize: 1000,
-        isActive: true
-      });
+  // Fetch the live product list into the cache
+  async refreshProducts() {
+    if (!this.productsRequest) {
+      this.productsRequest = this.getBTCOptionsAndFutures()
+        .then(products => {
+          const registered = productRegistry.setProducts(products);
+          this.productsCache = { products: registered, fetchedAt: Date.now() };
+          return registered;
+        })
+        .finally(() => {
+          this.productsRequest = null;
+        });
     }
-    
-    // Generate mock put options
-    for (let i = 0; i < 5; i++) {
-      const strike = currentPrice - (i * 1000);
-      mockOptions.push({
-        id: `put_${i}`,
-        symbol: `BTC-${strike}-P`,
-        contractType: 'put_option',
-        strikePrice: strike,
-        expirationDate: Date.now() + (30 * 24 * 60 * 60 * 1000), // 30 days from now
-        underlyingAsset: 'BTC',
-        tickSize: 0.1,
-        lotSize: 1,
-        minOrderSize: 0.01,
-        maxOrderSize: 1000,
-        isActive: true
-      });
+    return this.productsRequest;
+  }
+
+  // Products for the API with where they came from:
+  // mock - generated around currentPrice (simulation mode only)
+  // live - fetched for this request (cache missing, expired or refresh requested)
+  // cache - last live fetch; stale when a refresh just failed
+  async getProducts(currentPrice, { refresh = false } = {}) {
+    if (config.marketData.simulationMode) {
+      const products = productRegistry.setProducts(this.getMockBTCOptions(currentPrice));
+      return { products, source: 'mock', fetchedAt: Date.now(), stale: false };
     }
-    
-    // Add mock futures
-    mockOptions.push({
-      id: 'futures_1',
-      symbol: 'BTC-PERP',
-      contractType: 'futures',
-      strikePrice: null,
-      expirationDate: null,
+
+    const cached = this.productsCache;
+    const age = cached.fetchedAt ? Date.now() - cached.fetchedAt : Infinity;
+    if (!refresh && cached.products && age < config.marketData.productsRefreshMs) {
+      return { products: cached.products, source: 'cache', fetchedAt: cached.fetchedAt, stale: false };
+    }
+
+    try {
+      const products = await this.refreshProducts();
+      return { products, source: 'live', fetchedAt: this.productsCache.fetchedAt, stale: false };
+    } catch (error) {
+      if (!cached.products) {
+        throw error;
+      }
+      return { products: cached.products, source: 'cache', fetchedAt: cached.fetchedAt, stale: true, error: error.message };
+    }
+  }
+
+  // Mock BTC options for simulation mode: strikes around currentPrice expiring
+  // today and over the next two days (Delta's YYMMDD format), plus BTC-PERP
+  getMockBTCOptions(currentPrice = 45000) {
+    const mockOptions = [];
+    const basePrice = Math.round(currentPrice / 1000) * 1000; // Round to nearest 1000
+    const strikes = [-2000, -1000, 0, 1000, 2000, 3000].map(offset => basePrice + offset);
+    const expiries = [0, 1, 2].map(days => {
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      return date.getFullYear().toString().slice(-2) +
+        (date.getMonth() + 1).toString().padStart(2, '0') +
+        date.getDate().toString().padStart(2, '0');
+    });
+    const contract = {
       underlyingAsset: 'BTC',
       tickSize: 0.1,
       lotSize: 1,
       minOrderSize: 0.01,
       maxOrderSize: 1000,
-      isActive: true
+      isActive: true,
+      contractSettlement: 'linear',
+      settlingAsset: 'USD'
+    };
+
+    strikes.forEach(strike => {
+      expiries.forEach(expiry => {
+        mockOptions.push({
+          id: `call_${strike}_${expiry}`,
+          symbol: `C-BTC-${strike}-${expiry}`,
+          contractType: 'call_option',
+          strikePrice: strike,
+          expirationDate: expiry,
+          ...contract
+        });
+        mockOptions.push({
+          id: `put_${strike}_${expiry}`,
+          symbol: `P-BTC-${strike}-${expiry}`,
+          contractType: 'put_option',
+          strikePrice: strike,
+          expirationDate: expiry,
+          ...contract
+        });
+      });
     });
-    
+
+    mockOptions.push({
+      id: 'futures_1',
+      symbol: 'BTC-PERP',
+      contractType: 'futures',
+      strikePrice: null,
+      expirationDate: 'PERP', // Perpetual futures don't expire
+      ...contract
+    });
+
     console.log('Generated mock options:', mockOptions.length, 'products');
     return mockOptions;
   }
@@ -313,56 +367,137 @@ class DeltaExchangeService {
     };
   }
 
-  // Get historical data
-  async getHistoricalData(productId, interval = '1D', limit = 100) {
-    try {
-      console.log(`Fetching historical data for product: ${productId}`);
-      const response = await axios.get(`${this.apiUrl}/v2/history/candles?product_id=${productId}&resolution=${interval}&limit=${limit}`);
-      
+  // Candle resolution and its length in seconds for an interval such as '1m',
+  // '4h', '1D' or '7d' (null when Delta does not offer it)
+  normalizeResolution(interval = '1d') {
+    const resolution = String(interval).trim().toLowerCase().replace(/^7d$/, '1w');
+    return RESOLUTION_SECONDS[resolution] ? { resolution, seconds: RESOLUTION_SECONDS[resolution] } : null;
+  }
+
+  // Candle in the shared { time (Unix ms), open, high, low, close, volume } shape
+  normalizeCandle(candle) {
+    const time = parseFloat(candle.time !== undefined ? candle.time : candle.timestamp);
+    return {
+      time: time < 1e12 ? time * 1000 : time,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume) || 0
+    };
+  }
+
+  // Candle window for a request (Unix seconds aligned to the resolution): end
+  // defaults to now; at most limit candles (default: defaultCandles without a
+  // start, else maxCandles) ending at end, starting no earlier than start
+  resolveCandleRange(seconds, { start, end, limit } = {}) {
+    const { defaultCandles, maxCandles } = config.history;
+    const requested = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : (start ? maxCandles : defaultCandles);
+    const count = Math.min(requested, maxCandles);
+    const align = time => Math.floor(time / 1000 / seconds) * seconds;
+    const to = align(end ? end.getTime() : Date.now());
+    const earliest = to - (count - 1) * seconds;
+    const from = start ? Math.max(align(start.getTime()), earliest) : earliest;
+    return { from, to, count };
+  }
+
+  // Fetch candles from Delta between from and to (Unix seconds, inclusive),
+  // paged past Delta's per-request candle limit
+  async fetchCandles(symbol, resolution, seconds, from, to) {
+    const pageSeconds = config.history.maxCandlesPerRequest * seconds;
+    const candles = [];
+
+    for (let pageStart = from; pageStart <= to; pageStart += pageSeconds) {
+      const pageEnd = Math.min(to, pageStart + pageSeconds - seconds);
+      const response = await axios.get(`${this.apiUrl}/v2/history/candles`, {
+        params: { symbol, resolution, start: pageStart, end: pageEnd }
+      });
+
       if (!response.data || !response.data.result) {
         throw new Error('Invalid response format from Delta Exchange API');
       }
-      
-      return response.data.result;
+      candles.push(...response.data.result.map(raw => this.normalizeCandle(raw)));
+    }
+
+    return candles;
+  }
+
+  // Get historical candles for a product id or symbol, oldest first.
+  // range: start/end Dates and limit (most recent candles kept when the range holds more);
+  // allowMock: false throws instead of returning development mock candles.
+  // Candles already in the local store are served from it; only missing ranges
+  // (and the candle still forming) are fetched, and those are stored. When Delta
+  // is unreachable, stored candles are returned on their own.
+  async getHistoricalData(product, interval = '1d', range = {}) {
+    const normalized = this.normalizeResolution(interval);
+    if (!normalized) {
+      throw new Error(`Unsupported resolution: ${interval}`);
+    }
+    const { resolution, seconds } = normalized;
+    const { from, to, count } = this.resolveCandleRange(seconds, range);
+    const registered = productRegistry.getProduct(product);
+    const symbol = registered ? registered.symbol : product;
+    const step = seconds * 1000;
+    // Candles that have not closed yet are fetched every time and never marked as fetched
+    const lastClosed = Math.floor(Date.now() / step) * step - step;
+
+    try {
+      const missing = await timeSeriesStore.getMissingRanges(symbol, resolution, from * 1000, to * 1000, step);
+      if (missing.length > 0) {
+        console.log(`Fetching ${resolution} candles for ${symbol}`);
+      }
+      for (const [missingFrom, missingTo] of missing) {
+        const candles = await this.fetchCandles(symbol, resolution, seconds, missingFrom / 1000, missingTo / 1000);
+        const coveredTo = Math.min(missingTo, lastClosed);
+        await timeSeriesStore.saveCandles(
+          symbol,
+          resolution,
+          candles,
+          coveredTo >= missingFrom ? [missingFrom, coveredTo] : null,
+          step
+        );
+      }
     } catch (error) {
       console.error('Error fetching historical data:', error.response?.data || error.message);
       
+      const stored = await timeSeriesStore.getCandles(symbol, resolution, from * 1000, to * 1000);
+      if (stored.length > 0) {
+        console.log(`Returning ${stored.length} stored ${resolution} candles for ${symbol}`);
+        return stored.slice(-count);
+      }
+
       // Return mock data for development if API fails
-      if (process.env.NODE_ENV === 'development') {
+      if (process.env.NODE_ENV === 'development' && range.allowMock !== false) {
         console.log('Returning mock historical data for development...');
-        return this.getMockHistoricalData(productId, interval, limit);
+        return this.getMockHistoricalData(seconds, from, to).slice(-count);
       }
       
       throw error;
     }
+
+    const candles = await timeSeriesStore.getCandles(symbol, resolution, from * 1000, to * 1000);
+    return candles.slice(-count);
   }
 
-  // Mock historical data for development
-  getMockHistoricalData(productId, interval = '1D', limit = 100) {
-    const basePrice = 45000;
+  // Mock candles for development: a random walk over the requested window
+  getMockHistoricalData(seconds, from, to) {
     const candles = [];
-    const now = Date.now();
-    const intervalMs = interval === '1D' ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000; // 1 day or 1 hour
-    
-    for (let i = 0; i < limit; i++) {
-      const timestamp = now - (i * intervalMs);
-      const open = basePrice + (Math.random() - 0.5) * 1000;
-      const high = open + Math.random() * 500;
-      const low = open - Math.random() * 500;
-      const close = open + (Math.random() - 0.5) * 200;
-      const volume = Math.random() * 1000;
-      
+    let close = 45000;
+
+    for (let time = from; time <= to; time += seconds) {
+      const open = close;
+      close = open + (Math.random() - 0.5) * open * 0.01;
       candles.push({
-        timestamp,
+        time: time * 1000,
         open,
-        high,
-        low,
+        high: Math.max(open, close) + Math.random() * open * 0.005,
+        low: Math.min(open, close) - Math.random() * open * 0.005,
         close,
-        volume
+        volume: Math.random() * 1000
       });
     }
     
-    return candles.reverse(); // Return in chronological order
+    return candles;
   }
 
   // Connect to WebSocket for real-time data
@@ -423,6 +558,8 @@ class DeltaExchangeService {
   // Handle incoming WebSocket messages
   handleWebSocketMessage(message) {
     if (message.type === 'ticker') {
+      const productId = productRegistry.updateTicker(message);
+      timeSeriesStore.recordTicker(message, productId);
       // Notify subscribers
       this.subscribers.forEach((callback) => {
         callback(message);
@@ -0,0 +1,68 @@
+const config = require('../config');
+
+// Exchange fee schedule and spread-crossing slippage. All amounts are USD per
+// contract; callers supply notionals and premiums already converted to USD.
+class FeeService {
+  constructor() {
+    this.defaults = config.fees;
+  }
+
+  // Merge request overrides onto the configured schedule; false disables fees
+  resolveSchedule(overrides) {
+    if (overrides === false || (overrides && overrides.enabled === false)) {
+      return null;
+    }
+    const custom = overrides || {};
+    return {
+      orderType: custom.orderType === 'maker' ? 'maker' : custom.orderType === 'taker' ? 'taker' : this.defaults.orderType,
+      options: { ...this.defaults.options, ...(custom.options || {}) },
+      futures: { ...this.defaults.futures, ...(custom.futures || {}) },
+      slippageMultiplier: Number.isFinite(parseFloat(custom.slippageMultiplier))
+        ? parseFloat(custom.slippageMultiplier)
+        : this.defaults.slippageMultiplier
+    };
+  }
+
+  // Trading fee for one contract: a rate on the underlying notional, capped at a
+  // share of the premium for options
+  getTradingFee(contractType, notional, premium, schedule) {
+    if (!schedule) {
+      return 0;
+    }
+    const rates = contractType === 'futures' ? schedule.futures : schedule.options;
+    const fee = notional * (schedule.orderType === 'maker' ? rates.makerRate : rates.takerRate);
+    return contractType === 'futures' ? fee : Math.min(fee, rates.premiumCap * Math.max(0, premium));
+  }
+
+  // Settlement fee for one option contract settling with the given intrinsic value
+  getSettlementFee(notional, settlementValue, schedule) {
+    if (!schedule || settlementValue <= 0) {
+      return 0;
+    }
+    const rates = schedule.options;
+    return Math.min(notional * rates.settlementRate, rates.premiumCap * settlementValue);
+  }
+
+  // Underlying prices where an option's settlement fee switches from the notional
+  // rate to the settlement value cap (extra kinks in the expiry payoff)
+  getSettlementFeeKinks(optionType, strike, schedule) {
+    if (!schedule) {
+      return [];
+    }
+    const { settlementRate, premiumCap } = schedule.options;
+    if (optionType === 'call') {
+      return premiumCap > settlementRate ? [premiumCap * strike / (premiumCap - settlementRate)] : [];
+    }
+    return [premiumCap * strike / (premiumCap + settlementRate)];
+  }
+
+  // Slippage for one contract: taker fills pay part of the half spread, makers none
+  getSlippage(bid, ask, schedule) {
+    if (!schedule || schedule.orderType === 'maker' || !(bid > 0) || !(ask >= bid)) {
+      return 0;
+    }
+    return (ask - bid) / 2 * schedule.slippageMultiplier;
+  }
+}
+
+module.exports = new FeeService();
@@ -0,0 +1,146 @@
+const optionsCalculator = require('./optionsCalculator');
+const config = require('../config');
+
+// Initial and maintenance margin for strategies, in two modes:
+// standard - Delta-style per-leg requirements, capped at the expiry max loss
+//            for defined-risk structures expiring together (spread offset)
+// portfolio - worst loss over a risk array of spot and IV scenarios
+class MarginService {
+  constructor() {
+    this.settings = config.margin;
+  }
+
+  // Standalone initial/maintenance margin of one leg (USD, per position) at the valuation time now
+  calculateLegMargin(leg, underlyingPrice, pricing, now = new Date()) {
+    const option = leg.option;
+    const quantity = leg.quantity;
+    const { shortOptionRate, shortOptionMinRate, optionMaintenanceFraction, futuresInitialRate, futuresMaintenanceRate } = this.settings;
+
+    if (option.contractType === 'futures') {
+      // Per contract of 1 BTC underlying, as in the strategy maths
+      const notional = underlyingPrice;
+      return {
+        initialMargin: notional * futuresInitialRate * quantity,
+        maintenanceMargin: notional * futuresMaintenanceRate * quantity
+      };
+    }
+
+    // Long options only ever need the premium
+    if (leg.action === 'buy') {
+      return {
+        initialMargin: optionsCalculator.getPremiumValue(leg, underlyingPrice) * quantity,
+        maintenanceMargin: 0
+      };
+    }
+
+    const optionType = option.contractType === 'call_option' ? 'call' : 'put';
+    const T = optionsCalculator.calculateTimeToExpiry(optionsCalculator.getSettlementDate(option), now);
+    const sigma = optionsCalculator.getLegVolatility(leg, underlyingPrice, T, { pricing });
+    const mark = optionsCalculator.priceOption(underlyingPrice, option.strikePrice, T, sigma, optionType, pricing);
+    const otmAmount = optionType === 'call'
+      ? Math.max(0, option.strikePrice - underlyingPrice)
+      : Math.max(0, underlyingPrice - option.strikePrice);
+    const charge = Math.max(shortOptionRate * underlyingPrice - otmAmount, shortOptionMinRate * underlyingPrice);
+
+    return {
+      initialMargin: (mark + charge) * quantity,
+      maintenanceMargin: (mark + charge * optionMaintenanceFraction) * quantity
+    };
+  }
+
+  // Standard margin: sum of leg requirements, capped at the expiry max loss when it is
+  // bounded. Legs expiring on different dates get no cap: their loss at the first
+  // expiry is only a model value, not a bound.
+  calculateStandardMargin(strategy, underlyingPrice, pricing, now = new Date()) {
+    const legs = strategy.legs.map(leg => ({
+      symbol: leg.option.symbol,
+      action: leg.action,
+      quantity: leg.quantity,
+      ...this.calculateLegMargin(leg, underlyingPrice, pricing, now)
+    }));
+    const grossInitialMargin = legs.reduce((sum, leg) => sum + leg.initialMargin, 0);
+    const grossMaintenanceMargin = legs.reduce((sum, leg) => sum + leg.maintenanceMargin, 0);
+
+    const multipleExpiries = optionsCalculator.hasMultipleExpiries(strategy);
+    const maxLoss = multipleExpiries ? null : optionsCalculator.analyzeExpiryPayoff(strategy, pricing).maxLoss;
+    const definedRisk = maxLoss !== null && maxLoss !== 'unlimited';
+    const maxLossAmount = definedRisk ? Math.max(0, -maxLoss) : null;
+    const initialMargin = definedRisk ? Math.min(grossInitialMargin, maxLossAmount) : grossInitialMargin;
+    const maintenanceMargin = Math.min(grossMaintenanceMargin, initialMargin);
+
+    return {
+      initialMargin,
+      maintenanceMargin,
+      grossInitialMargin,
+      grossMaintenanceMargin,
+      spreadOffset: {
+        applied: definedRisk && initialMargin < grossInitialMargin,
+        reason: multipleExpiries ? 'multiple_expiries' : definedRisk ? null : 'unlimited_loss',
+        maxLoss: maxLossAmount,
+        initialReduction: grossInitialMargin - initialMargin
+      },
+      legs
+    };
+  }
+
+  // Portfolio margin: worst change in value over the risk array, revalued at the valuation time now
+  calculatePortfolioMargin(strategy, underlyingPrice, pricing, now = new Date()) {
+    const { priceScanRange, volScanRange, extremeMoveMultiplier, extremeMoveCoverage, portfolioMaintenanceRatio } = this.settings;
+    const baseValue = optionsCalculator.calculateStrategyValueAt(strategy, underlyingPrice, now, 0, pricing);
+
+    const scenarios = [];
+    [-1, -2 / 3, -1 / 3, 0, 1 / 3, 2 / 3, 1].forEach(fraction => {
+      [volScanRange, -volScanRange].forEach(volShift => {
+        scenarios.push({ spotMove: fraction * priceScanRange, volShift, weight: 1 });
+      });
+    });
+    [-1, 1].forEach(direction => {
+      scenarios.push({ spotMove: direction * priceScanRange * extremeMoveMultiplier, volShift: 0, weight: extremeMoveCoverage });
+    });
+
+    const results = scenarios.map(scenario => {
+      const price = underlyingPrice * (1 + scenario.spotMove);
+      const value = optionsCalculator.calculateStrategyValueAt(strategy, price, now, scenario.volShift, pricing);
+      return { ...scenario, price, change: (value - baseValue) * scenario.weight };
+    });
+    const worst = results.reduce((acc, result) => (result.change < acc.change ? result : acc));
+    const initialMargin = Math.max(0, -worst.change);
+
+    return {
+      initialMargin,
+      maintenanceMargin: initialMargin * portfolioMaintenanceRatio,
+      worstScenario: worst,
+      scenarios: results
+    };
+  }
+
+  // Margin for a strategy. options.marginMode: 'standard' (default) or 'portfolio';
+  // options.asOf: valuation time (see optionsCalculator.getValuationDate);
+  // pricing options as for optionsCalculator.resolvePricing
+  calculateMargin(strategy, currentPrice, options = {}) {
+    const mode = options.marginMode === 'portfolio' ? 'portfolio' : 'standard';
+    const pricing = optionsCalculator.resolvePricing(currentPrice, options);
+    const underlyingPrice = pricing.referencePrice;
+    const now = optionsCalculator.getValuationDate(options);
+    const valuedStrategy = optionsCalculator.prepareStrategyLegs(strategy, underlyingPrice, { ...options, pricing, asOf: now });
+
+    const standard = this.calculateStandardMargin(valuedStrategy, underlyingPrice, pricing, now);
+    const portfolio = this.calculatePortfolioMargin(valuedStrategy, underlyingPrice, pricing, now);
+    const selected = mode === 'portfolio' ? portfolio : standard;
+
+    return {
+      mode,
+      initialMargin: selected.initialMargin,
+      maintenanceMargin: selected.maintenanceMargin,
+      initialMarginBTC: optionsCalculator.toBTC(selected.initialMargin, underlyingPrice),
+      maintenanceMarginBTC: optionsCalculator.toBTC(selected.maintenanceMargin, underlyingPrice),
+      standard,
+      portfolio,
+      underlyingPrice,
+      pricing,
+      asOf: now.toISOString()
+    };
+  }
+}
+
+module.exports = new MarginService();
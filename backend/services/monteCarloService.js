@@ -0,0 +1,417 @@
+const optionsCalculator = require('./optionsCalculator');
+const config = require('../config');
+
+// Monte Carlo engine for path-dependent strategy risk. Simulates the pricing
+// underlying (spot, or the reference forward under Black-76) with GBM or Merton
+// jump-diffusion, revalues the strategy through optionsCalculator, and reports
+// the P&L distribution, VaR/CVaR and touch probabilities.
+class MonteCarloService {
+  constructor() {
+    this.defaultPaths = config.simulation.defaultPaths;
+    this.maxPaths = config.simulation.maxPaths;
+    this.stepsPerDay = config.simulation.stepsPerDay;
+    this.maxSteps = config.simulation.maxSteps;
+    this.maxPathSteps = config.simulation.maxPathSteps;
+    this.sliceMs = config.simulation.sliceMs;
+    this.jumpDefaults = config.simulation.jumpDefaults;
+    this.percentiles = [0.01, 0.05, 0.10, 0.25, 0.50, 0.75, 0.90, 0.95, 0.99];
+    this.confidenceLevels = [0.95, 0.99];
+    this.histogramBins = 50;
+  }
+
+  // Seeded uniform generator (mulberry32) so runs are reproducible
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal draws from a uniform generator (Box-Muller, caching the pair)
+  createNormal(random) {
+    let spare = null;
+    return () => {
+      if (spare !== null) {
+        const value = spare;
+        spare = null;
+        return value;
+      }
+      const u = 1 - random();
+      const v = random();
+      const radius = Math.sqrt(-2 * Math.log(u));
+      spare = radius * Math.sin(2 * Math.PI * v);
+      return radius * Math.cos(2 * Math.PI * v);
+    };
+  }
+
+  // Poisson draw (Knuth); fine for the small per-step jump intensities used here
+  samplePoisson(random, mean) {
+    if (mean <= 0) {
+      return 0;
+    }
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+      count++;
+      product *= random();
+    }
+    return count;
+  }
+
+  // Linear-interpolated percentile of an ascending sorted array
+  percentile(sorted, p) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // Mean, standard deviation and percentiles of a sample
+  summarize(values) {
+    const sorted = Float64Array.from(values).sort();
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+    const variance = sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / Math.max(1, sorted.length - 1);
+
+    return {
+      sorted,
+      mean,
+      stdDev: Math.sqrt(variance),
+      standardError: Math.sqrt(variance / sorted.length),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      percentiles: this.percentiles.reduce((acc, p) => {
+        acc[`p${Math.round(p * 100)}`] = this.percentile(sorted, p);
+        return acc;
+      }, {})
+    };
+  }
+
+  // Value at risk and expected shortfall (both as positive losses) per confidence level
+  calculateTailRisk(sortedPnL) {
+    return this.confidenceLevels.reduce((acc, confidence) => {
+      const cutoff = this.percentile(sortedPnL, 1 - confidence);
+      let tailSum = 0;
+      let tailCount = 0;
+      for (let i = 0; i < sortedPnL.length && sortedPnL[i] <= cutoff; i++) {
+        tailSum += sortedPnL[i];
+        tailCount++;
+      }
+      const key = Math.round(confidence * 100);
+      acc.var[key] = -cutoff;
+      acc.cvar[key] = tailCount > 0 ? -tailSum / tailCount : -cutoff;
+      return acc;
+    }, { var: {}, cvar: {} });
+  }
+
+  // Equal-width histogram of the P&L distribution for charting
+  buildHistogram(sortedPnL) {
+    const min = sortedPnL[0];
+    const max = sortedPnL[sortedPnL.length - 1];
+    const width = (max - min) / this.histogramBins || 1;
+    const bins = Array.from({ length: this.histogramBins }, (_, i) => ({
+      from: min + i * width,
+      to: min + (i + 1) * width,
+      count: 0
+    }));
+    sortedPnL.forEach(value => {
+      bins[Math.min(this.histogramBins - 1, Math.floor((value - min) / width))].count++;
+    });
+    return bins.map(bin => ({ ...bin, probability: bin.count / sortedPnL.length }));
+  }
+
+  // Probability that a Brownian bridge between two log prices touches a barrier
+  bridgeTouchProbability(logFrom, logTo, logBarrier, varianceStep) {
+    const a = logFrom - logBarrier;
+    const b = logTo - logBarrier;
+    if (a * b <= 0) {
+      return 1;
+    }
+    return Math.exp(-2 * a * b / varianceStep);
+  }
+
+  // Whether a horizon was given (null and '' mean the default, the first expiry)
+  hasHorizon(options) {
+    return options.horizon !== undefined && options.horizon !== null && options.horizon !== '';
+  }
+
+  // Validate simulation options; returns an error message or null
+  validateOptions(options = {}) {
+    if (options.process !== undefined && !['gbm', 'jump-diffusion'].includes(options.process)) {
+      return 'process must be gbm or jump-diffusion';
+    }
+    const now = optionsCalculator.getValuationDate(options);
+    if (isNaN(now.getTime())) {
+      return 'asOf must be an ISO date or Unix timestamp';
+    }
+    if (this.hasHorizon(options)) {
+      const horizon = optionsCalculator.resolveHorizonDate(options.horizon, now);
+      if (isNaN(horizon.getTime())) {
+        return 'horizon must be an ISO date or a number of days';
+      }
+      if (horizon <= now) {
+        return 'horizon must be after asOf';
+      }
+    }
+    const invalidJump = ['jumpIntensity', 'jumpMean', 'jumpVolatility'].find(key => {
+      if (options[key] === undefined || options[key] === null || options[key] === '') {
+        return false;
+      }
+      const value = parseFloat(options[key]);
+      return !Number.isFinite(value) || (key !== 'jumpMean' && value < 0);
+    });
+    return invalidJump ? `${invalidJump} must be a number${invalidJump === 'jumpMean' ? '' : ' >= 0'}` : null;
+  }
+
+  // Jump parameters for a jump-diffusion run: requested values, else the
+  // configured defaults (listed in defaultsApplied)
+  resolveJumps(options) {
+    const defaultsApplied = [];
+    const pick = (key, name) => {
+      const value = parseFloat(options[key]);
+      if (Number.isFinite(value)) {
+        return value;
+      }
+      defaultsApplied.push(name);
+      return this.jumpDefaults[name];
+    };
+    return {
+      intensity: pick('jumpIntensity', 'intensity'),
+      mean: pick('jumpMean', 'mean'),
+      volatility: pick('jumpVolatility', 'volatility'),
+      defaultsApplied
+    };
+  }
+
+  // Simulate a strategy to the horizon (default: first expiry). Long runs yield
+  // to the event loop every sliceMs; results depend only on the inputs, so the
+  // same seed and asOf repeat a run exactly.
+  // options.process: 'gbm' (default) or 'jump-diffusion'
+  // options.paths/seed/antithetic/stepsPerDay: simulation controls (paths capped by maxPathSteps)
+  // options.volatility: path volatility (default: mean leg IV, see resolveStrategyVolatility)
+  // options.drift: annual drift (default: risk-neutral, zero under Black-76)
+  // options.jumpIntensity/jumpMean/jumpVolatility: Merton jumps per year and log jump
+  // mean/std dev (defaults: config.simulation.jumpDefaults)
+  // options.barriers: extra price levels for touch probabilities
+  // options.management: { takeProfit, stopLoss, checkIntervalDays } exit rules in USD P&L
+  // options.asOf: valuation time (ISO string or Unix ms; default now)
+  // options.horizon: valuation date (ISO string or days from asOf)
+  // pricing options as for optionsCalculator.resolvePricing
+  async simulateStrategy(strategy, currentPrice, options = {}) {
+    if (!strategy || !Array.isArray(strategy.legs) || strategy.legs.length === 0) {
+      throw new Error('Strategy must have at least one leg');
+    }
+    const invalid = this.validateOptions(options);
+    if (invalid) {
+      throw new Error(invalid);
+    }
+
+    const pathProcess = options.process === 'jump-diffusion' ? 'jump-diffusion' : 'gbm';
+    const now = optionsCalculator.getValuationDate(options);
+    const pricing = optionsCalculator.resolvePricing(currentPrice, options);
+    const pricedOptions = { ...options, pricing, asOf: now };
+    const S0 = pricing.referencePrice;
+    const valuedStrategy = optionsCalculator.prepareStrategyLegs(strategy, S0, pricedOptions);
+
+    const horizon = this.hasHorizon(options)
+      ? optionsCalculator.resolveHorizonDate(options.horizon, now)
+      : optionsCalculator.getFirstExpiry(valuedStrategy, now);
+    const T = (horizon - now) / (1000 * 60 * 60 * 24 * 365);
+    if (!(T > 0)) {
+      throw new Error('Simulation horizon must be in the future');
+    }
+
+    const seed = Number.isFinite(parseInt(options.seed, 10))
+      ? parseInt(options.seed, 10) >>> 0
+      : Math.floor(Math.random() * 4294967296);
+    const antithetic = options.antithetic !== false;
+    const stepsPerDay = parseFloat(options.stepsPerDay) > 0 ? parseFloat(options.stepsPerDay) : this.stepsPerDay;
+    const steps = Math.max(1, Math.min(this.maxSteps, Math.ceil(T * 365 * stepsPerDay)));
+    const dt = T / steps;
+    const requestedPaths = Math.max(2, parseInt(options.paths, 10) || this.defaultPaths);
+    let paths = Math.max(2, Math.min(requestedPaths, this.maxPaths, Math.floor(this.maxPathSteps / steps)));
+    if (antithetic && paths % 2 === 1) {
+      paths = paths + 1 <= this.maxPaths ? paths + 1 : paths - 1;
+    }
+
+    const resolvedVolatility = parseFloat(options.volatility) > 0
+      ? { volatility: parseFloat(options.volatility), source: 'user' }
+      : optionsCalculator.resolveStrategyVolatility(valuedStrategy, S0, T, pricedOptions);
+    const sigma = resolvedVolatility.volatility;
+    const drift = Number.isFinite(parseFloat(options.drift))
+      ? parseFloat(options.drift)
+      : pricing.model === 'black76' ? 0 : pricing.rate;
+
+    const jumps = pathProcess === 'jump-diffusion' ? this.resolveJumps(options) : null;
+    const jumpIntensity = jumps ? jumps.intensity : 0;
+    const jumpMean = jumps ? jumps.mean : 0;
+    const jumpVolatility = jumps ? jumps.volatility : 0;
+    // Compensate the drift so E[S_T] is unchanged by the jumps
+    const jumpCompensation = jumpIntensity * (Math.exp(jumpMean + 0.5 * jumpVolatility * jumpVolatility) - 1);
+    const stepDrift = (drift - jumpCompensation - 0.5 * sigma * sigma) * dt;
+    const stepVolatility = sigma * Math.sqrt(dt);
+
+    // Touch levels: option strikes, expiry break-evens and any requested barriers
+    const { breakEvenPoints } = optionsCalculator.analyzeExpiryPayoff(valuedStrategy, pricing);
+    const levels = [];
+    const addLevel = (price, type) => {
+      if (price > 0 && !levels.some(level => level.price === price && level.type === type)) {
+        levels.push({ price, type });
+      }
+    };
+    valuedStrategy.legs
+      .filter(leg => leg.option.contractType !== 'futures')
+      .forEach(leg => addLevel(leg.option.strikePrice, 'strike'));
+    breakEvenPoints.forEach(price => addLevel(price, 'breakEven'));
+    (options.barriers || []).forEach(price => addLevel(parseFloat(price), 'barrier'));
+    const logLevels = levels.map(level => Math.log(level.price));
+    const touchSums = new Float64Array(levels.length);
+
+    // Management rules are checked on a coarser schedule since each check reprices every leg
+    const management = options.management || {};
+    const takeProfit = parseFloat(management.takeProfit) > 0 ? parseFloat(management.takeProfit) : null;
+    const stopLoss = parseFloat(management.stopLoss) > 0 ? parseFloat(management.stopLoss) : null;
+    const manage = takeProfit !== null || stopLoss !== null;
+    const checkIntervalDays = parseFloat(management.checkIntervalDays) > 0 ? parseFloat(management.checkIntervalDays) : 1;
+    const checkEvery = Math.max(1, Math.round(checkIntervalDays / (dt * 365)));
+    let takeProfitExits = 0;
+    let stopLossExits = 0;
+
+    const random = this.createRandom(seed);
+    const normal = this.createNormal(random);
+    const pnl = new Float64Array(paths);
+    const terminalPrices = new Float64Array(paths);
+    const shocks = new Float64Array(steps);
+    const jumpCounts = new Uint16Array(steps);
+    const jumpShocks = new Float64Array(steps);
+    const logS0 = Math.log(S0);
+    let sliceStart = Date.now();
+
+    for (let path = 0; path < paths; path++) {
+      if (Date.now() - sliceStart > this.sliceMs) {
+        await new Promise(resolve => setImmediate(resolve));
+        sliceStart = Date.now();
+      }
+      // Antithetic pairs reuse the previous path's draws with the normals negated
+      const mirrored = antithetic && path % 2 === 1;
+      if (!mirrored) {
+        for (let step = 0; step < steps; step++) {
+          shocks[step] = normal();
+          jumpCounts[step] = jumpIntensity > 0 ? this.samplePoisson(random, jumpIntensity * dt) : 0;
+          jumpShocks[step] = jumpCounts[step] > 0 ? normal() : 0;
+        }
+      }
+      const sign = mirrored ? -1 : 1;
+
+      let logPrice = logS0;
+      const noTouch = new Float64Array(levels.length).fill(1);
+      let exitPnL = null;
+
+      for (let step = 0; step < steps; step++) {
+        const previous = logPrice;
+        logPrice += stepDrift + stepVolatility * sign * shocks[step];
+        if (jumpCounts[step] > 0) {
+          const n = jumpCounts[step];
+          logPrice += n * jumpMean + jumpVolatility * Math.sqrt(n) * sign * jumpShocks[step];
+        }
+
+        for (let i = 0; i < levels.length; i++) {
+          if (noTouch[i] > 0) {
+            noTouch[i] *= 1 - this.bridgeTouchProbability(previous, logPrice, logLevels[i], stepVolatility * stepVolatility);
+          }
+        }
+
+        if (manage && exitPnL === null && (step + 1) % checkEvery === 0 && step + 1 < steps) {
+          const date = new Date(now.getTime() + (step + 1) * dt * 365 * 24 * 60 * 60 * 1000);
+          const value = optionsCalculator.calculateStrategyValueAt(valuedStrategy, Math.exp(logPrice), date, 0, pricing);
+          if (takeProfit !== null && value >= takeProfit) {
+            exitPnL = value;
+            takeProfitExits++;
+          } else if (stopLoss !== null && value <= -stopLoss) {
+            exitPnL = value;
+            stopLossExits++;
+          }
+        }
+      }
+
+      const terminalPrice = Math.exp(logPrice);
+      terminalPrices[path] = terminalPrice;
+      pnl[path] = exitPnL !== null
+        ? exitPnL
+        : optionsCalculator.calculateStrategyValueAt(valuedStrategy, terminalPrice, horizon, 0, pricing);
+      for (let i = 0; i < levels.length; i++) {
+        touchSums[i] += 1 - noTouch[i];
+      }
+    }
+
+    const pnlSummary = this.summarize(pnl);
+    const priceSummary = this.summarize(terminalPrices);
+    const profitable = pnl.reduce((count, value) => count + (value > 0 ? 1 : 0), 0);
+
+    return {
+      process: pathProcess,
+      seed,
+      asOf: now.toISOString(),
+      paths,
+      requestedPaths,
+      steps,
+      antithetic,
+      horizon: horizon.toISOString(),
+      timeToHorizon: T,
+      underlyingPrice: S0,
+      pricing,
+      volatility: sigma,
+      volatilitySource: resolvedVolatility.source,
+      drift,
+      jumps,
+      legs: valuedStrategy.legs.map(leg => ({
+        symbol: leg.option.symbol,
+        action: leg.action,
+        quantity: leg.quantity,
+        entryPrice: leg.entryPrice,
+        premiumSource: leg.premiumSource,
+        volatility: leg.volatility || null,
+        ivSource: leg.ivSource || null
+      })),
+      pnl: {
+        mean: pnlSummary.mean,
+        stdDev: pnlSummary.stdDev,
+        standardError: pnlSummary.standardError,
+        min: pnlSummary.min,
+        max: pnlSummary.max,
+        percentiles: pnlSummary.percentiles
+      },
+      ...this.calculateTailRisk(pnlSummary.sorted),
+      probabilityOfProfit: profitable / paths,
+      terminalPrice: {
+        mean: priceSummary.mean,
+        stdDev: priceSummary.stdDev,
+        percentiles: priceSummary.percentiles
+      },
+      touchProbabilities: levels.map((level, i) => ({
+        ...level,
+        direction: level.price >= S0 ? 'above' : 'below',
+        probability: touchSums[i] / paths
+      })),
+      management: manage
+        ? {
+            takeProfit,
+            stopLoss,
+            checkIntervalDays,
+            takeProfitRate: takeProfitExits / paths,
+            stopLossRate: stopLossExits / paths
+          }
+        : null,
+      distribution: this.buildHistogram(pnlSummary.sorted)
+    };
+  }
+}
+
+module.exports = new MonteCarloService();
@@ -1,23 +1,155 @@
 const math = require('mathjs');
+const sviModel = require('./sviModel');
+const feeService = require('./feeService');
+const config = require('../config');
+
+// Labels for each Greek unit convention, echoed in responses so clients can label values
+const GREEK_UNITS = {
+  annual: {
+    convention: 'annual',
+    delta: 'per 1 USD move',
+    gamma: 'delta per 1 USD move',
+    theta: 'USD per year',
+    vega: 'USD per 1.00 volatility',
+    rho: 'USD per 1.00 rate',
+    vanna: 'delta per 1.00 volatility',
+    volga: 'vega per 1.00 volatility',
+    charm: 'delta per year',
+    speed: 'gamma per 1 USD move',
+    color: 'gamma per year',
+    zomma: 'gamma per 1.00 volatility'
+  },
+  trader: {
+    convention: 'trader',
+    delta: 'per 1 USD move',
+    deltaBTC: 'BTC',
+    dollarDelta: 'USD per 100% move',
+    gamma: 'delta per 1 USD move',
+    dollarGamma: 'USD delta per 1% move',
+    theta: 'USD per day',
+    vega: 'USD per 1 vol point',
+    rho: 'USD per 1% rate',
+    vanna: 'delta per 1 vol point',
+    volga: 'vega per 1 vol point',
+    charm: 'delta per day',
+    speed: 'gamma per 1 USD move',
+    color: 'gamma per day',
+    zomma: 'gamma per 1 vol point'
+  }
+};
 
 class OptionsCalculator {
   constructor() {
     this.riskFreeRate = 0.05; // 5% risk-free rate
+    this.settlementHourUTC = 12; // Delta Exchange daily settlement at 12:00 UTC
+    this.minutesPerYear = 365 * 24 * 60;
+  }
+
+  // Parse an expiry value into a Date. Accepts Date objects, millisecond
+  // timestamps, full ISO timestamps, and date-only YYMMDD / YYYY-MM-DD values
+  // (which settle at Delta's daily settlement time). Returns null for PERP.
+  parseExpiryDate(expiry) {
+    if (expiry === null || expiry === undefined || expiry === '' || expiry === 'PERP') {
+      return null;
+    }
+    if (expiry instanceof Date) {
+      return isNaN(expiry.getTime()) ? null : expiry;
+    }
+    if (typeof expiry === 'number') {
+      return new Date(expiry);
+    }
+
+    const value = String(expiry).trim();
+    let match = value.match(/^(\d{2})(\d{2})(\d{2})$/);
+    if (match) {
+      return new Date(Date.UTC(2000 + parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10), this.settlementHourUTC));
+    }
+    match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+      return new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10), this.settlementHourUTC));
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Get the settlement Date of a product, preferring its exact settlementTime
+  getSettlementDate(option) {
+    return this.parseExpiryDate(option.settlementTime) || this.parseExpiryDate(option.expirationDate);
+  }
+
+  // Contract settlement of a product: 'inverse' (BTC-settled, premium and P&L
+  // in BTC) or 'linear' (USD-settled)
+  getContractSettlement(option) {
+    return option && option.contractSettlement === 'inverse' ? 'inverse' : 'linear';
+  }
+
+  // Exchange contract size of a product (BTC per contract, or USD per contract for
+  // inverse futures), reported with futures metrics. Strategy maths is per contract
+  // of 1 BTC underlying for every leg type, so quantities add up across legs.
+  getLotSize(option) {
+    const lotSize = parseFloat(option && option.lotSize);
+    return lotSize > 0 ? lotSize : 1;
+  }
+
+  // USD value of a leg's entry premium (leg.entryPrice, falling back to
+  // leg.price) at an underlying price. Inverse premiums are in BTC, so their
+  // USD value moves with the underlying. Futures have no premium.
+  getPremiumValue(leg, price) {
+    if (leg.option.contractType === 'futures') {
+      return 0;
+    }
+    const premium = parseFloat(leg.entryPrice !== undefined ? leg.entryPrice : leg.price) || 0;
+    return this.getContractSettlement(leg.option) === 'inverse' ? premium * price : premium;
+  }
+
+  // USD P&L per contract (1 BTC of underlying, as for options) of a futures leg
+  // entered at leg.entryPrice (falling back to leg.price). An inverse contract of
+  // entryPrice USD notional has the same USD P&L as a linear 1 BTC contract.
+  getFuturesValue(leg, price) {
+    const entryPrice = parseFloat(leg.entryPrice !== undefined ? leg.entryPrice : leg.price);
+    if (!(entryPrice > 0)) {
+      return 0;
+    }
+    return price - entryPrice;
+  }
+
+  // Convert a USD amount to BTC at an underlying price
+  toBTC(amount, price) {
+    return price > 0 ? amount / price : null;
+  }
+
+  // Valuation time of a calculation: options.asOf (Date, ISO string or Unix ms),
+  // else now. An unparseable asOf gives an invalid Date for the caller to reject.
+  getValuationDate(options = {}) {
+    const { asOf } = options;
+    if (asOf === undefined || asOf === null || asOf === '') {
+      return new Date();
+    }
+    if (asOf instanceof Date) {
+      return asOf;
+    }
+    return new Date(Number.isFinite(Number(asOf)) ? Number(asOf) : asOf);
+  }
+
+  // Calculate whole minutes to expiration (optionally as seen from a future date)
+  calculateMinutesToExpiry(expiry, fromDate = new Date()) {
+    const expiryDate = this.parseExpiryDate(expiry);
+    if (!expiryDate) {
+      return 0;
+    }
+    const diffTime = expiryDate - new Date(fromDate);
+    return Math.max(0, Math.floor(diffTime / (1000 * 60)));
   }
 
-  // Calculate days to expiration
-  calculateDTE(expirationDate) {
-    const now = new Date();
-    const expiry = new Date(expirationDate);
-    const diffTime = expiry - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return Math.max(0, diffDays);
+  // Calculate days to expiration, fractional to the minute
+  calculateDTE(expiry, fromDate = new Date()) {
+    return this.calculateMinutesToExpiry(expiry, fromDate) / (24 * 60);
   }
 
   // Calculate time to expiration in years
-  calculateTimeToExpiry(expirationDate) {
-    const dte = this.calculateDTE(expirationDate);
-    return dte / 365;
+  calculateTimeToExpiry(expiry, fromDate = new Date()) {
+    return this.calculateMinutesToExpiry(expiry, fromDate) / this.minutesPerYear;
   }
 
   // Standard normal cumulative distribution function
@@ -55,7 +187,13 @@ class OptionsCalculator {
         gamma: 0,
         theta: 0,
         vega: 0,
-        rho: 0
+        rho: 0,
+        vanna: 0,
+        volga: 0,
+        charm: 0,
+        speed: 0,
+        color: 0,
+        zomma: 0
       };
     }
 
@@ -80,81 +218,868 @@ class OptionsCalculator {
       rho = -K * T * Math.exp(-r * T) * this.normalCDF(-d2);
     }
 
-    return { delta, gamma, theta, vega, rho };
+    // Second- and third-order sensitivities (charm and color are per year of decay)
+    const sigmaRootT = sigma * Math.sqrt(T);
+    const vanna = -this.normalPDF(d1) * d2 / sigma;
+    const volga = vega * d1 * d2 / sigma;
+    const charm = -this.normalPDF(d1) * (2 * r * T - d2 * sigmaRootT) / (2 * T * sigmaRootT);
+    const speed = -(gamma / S) * (d1 / sigmaRootT + 1);
+    const color = (this.normalPDF(d1) / (2 * S * T * sigmaRootT)) *
+                  (1 + d1 * (2 * r * T - d2 * sigmaRootT) / sigmaRootT);
+    const zomma = gamma * (d1 * d2 - 1) / sigma;
+
+    return { delta, gamma, theta, vega, rho, vanna, volga, charm, speed, color, zomma };
+  }
+
+  // Black-76 option pricing off a forward/futures price F
+  black76(F, K, T, r, sigma, optionType) {
+    const discount = Math.exp(-r * T);
+    if (T <= 0) {
+      return discount * (optionType === 'call' ? Math.max(0, F - K) : Math.max(0, K - F));
+    }
+
+    const d1 = (Math.log(F / K) + 0.5 * sigma * sigma * T) / (sigma * Math.sqrt(T));
+    const d2 = d1 - sigma * Math.sqrt(T);
+
+    if (optionType === 'call') {
+      return discount * (F * this.normalCDF(d1) - K * this.normalCDF(d2));
+    } else {
+      return discount * (K * this.normalCDF(-d2) - F * this.normalCDF(-d1));
+    }
+  }
+
+  // Calculate Black-76 Greeks (delta and gamma are with respect to the forward)
+  calculateBlack76Greeks(F, K, T, r, sigma, optionType) {
+    if (T <= 0) {
+      return {
+        delta: optionType === 'call' ? (F > K ? 1 : 0) : (F < K ? -1 : 0),
+        gamma: 0,
+        theta: 0,
+        vega: 0,
+        rho: 0,
+        vanna: 0,
+        volga: 0,
+        charm: 0,
+        speed: 0,
+        color: 0,
+        zomma: 0
+      };
+    }
+
+    const d1 = (Math.log(F / K) + 0.5 * sigma * sigma * T) / (sigma * Math.sqrt(T));
+    const d2 = d1 - sigma * Math.sqrt(T);
+    const discount = Math.exp(-r * T);
+    const price = this.black76(F, K, T, r, sigma, optionType);
+
+    const delta = optionType === 'call'
+      ? discount * this.normalCDF(d1)
+      : discount * (this.normalCDF(d1) - 1);
+    const gamma = discount * this.normalPDF(d1) / (F * sigma * Math.sqrt(T));
+    const vega = discount * F * Math.sqrt(T) * this.normalPDF(d1);
+    const theta = (-discount * F * this.normalPDF(d1) * sigma / (2 * Math.sqrt(T))) + r * price;
+    const rho = -T * price;
+
+    // Second- and third-order sensitivities (charm and color are per year of decay)
+    const sigmaRootT = sigma * Math.sqrt(T);
+    const vanna = -discount * this.normalPDF(d1) * d2 / sigma;
+    const volga = vega * d1 * d2 / sigma;
+    const charm = r * delta + discount * this.normalPDF(d1) * d2 / (2 * T);
+    const speed = -(gamma / F) * (1 + d1 / sigmaRootT);
+    const color = gamma * (r + (1 - d1 * d2) / (2 * T));
+    const zomma = gamma * (d1 * d2 - 1) / sigma;
+
+    return { delta, gamma, theta, vega, rho, vanna, volga, charm, speed, color, zomma };
+  }
+
+  // Resolve the pricing model for a request.
+  // options.model: 'black-scholes' (spot, default) or 'black76' (forward)
+  // options.forwardPrice: explicit forward; otherwise the mark of options.forwardSymbol
+  //   (default BTC-PERP) from options.marketData, falling back to spot
+  // options.rate: discount rate (defaults to riskFreeRate)
+  // options.basis: annualised basis applied to the reference forward per expiry
+  resolvePricing(currentPrice, options = {}) {
+    if (options.pricing) {
+      return options.pricing;
+    }
+
+    const model = options.model === 'black76' ? 'black76' : 'black-scholes';
+    const rate = Number.isFinite(parseFloat(options.rate)) ? parseFloat(options.rate) : this.riskFreeRate;
+    const basis = parseFloat(options.basis) || 0;
+    let referencePrice = currentPrice;
+    let referenceSource = 'spot';
+
+    if (model === 'black76') {
+      const forwardSymbol = options.forwardSymbol || 'BTC-PERP';
+      const quote = (options.marketData || {})[forwardSymbol];
+      const quoteMark = quote ? parseFloat(quote.mark_price || quote.price) : NaN;
+
+      if (parseFloat(options.forwardPrice) > 0) {
+        referencePrice = parseFloat(options.forwardPrice);
+        referenceSource = 'request';
+      } else if (quoteMark > 0) {
+        referencePrice = quoteMark;
+        referenceSource = forwardSymbol;
+      }
+    }
+
+    return { model, rate, basis, referencePrice, referenceSource };
+  }
+
+  // Forward for an expiry T years out, carried from the reference price by the basis
+  getForwardPrice(referencePrice, T, pricing) {
+    return referencePrice * Math.exp((pricing.basis || 0) * T);
+  }
+
+  // Price an option under the resolved pricing model
+  priceOption(underlying, K, T, sigma, optionType, pricing) {
+    if (pricing.model === 'black76') {
+      const F = this.getForwardPrice(underlying, T, pricing);
+      return this.black76(F, K, T, pricing.rate, sigma, optionType);
+    }
+    return this.blackScholes(underlying, K, T, pricing.rate, sigma, optionType);
+  }
+
+  // Calculate Greeks under the resolved pricing model
+  calculateOptionGreeks(underlying, K, T, sigma, optionType, pricing) {
+    if (pricing.model === 'black76') {
+      const F = this.getForwardPrice(underlying, T, pricing);
+      return this.calculateBlack76Greeks(F, K, T, pricing.rate, sigma, optionType);
+    }
+    return this.calculateGreeks(underlying, K, T, pricing.rate, sigma, optionType);
+  }
+
+  // No-arbitrage price bounds for a European option (S is the forward under Black-76)
+  getArbitrageBounds(S, K, T, r, optionType, model = 'black-scholes') {
+    const discount = Math.exp(-r * T);
+    if (model === 'black76') {
+      return optionType === 'call'
+        ? { lower: discount * Math.max(0, S - K), upper: discount * S }
+        : { lower: discount * Math.max(0, K - S), upper: discount * K };
+    }
+    return optionType === 'call'
+      ? { lower: Math.max(0, S - K * discount), upper: S }
+      : { lower: Math.max(0, K * discount - S), upper: K * discount };
+  }
+
+  // Brent's method root finder on [a, b]; f(a) and f(b) must bracket a root
+  brentSolve(f, a, b, tolerance = 1e-8, maxIterations = 200) {
+    let fa = f(a);
+    let fb = f(b);
+    if (fa * fb > 0) {
+      return { root: null, iterations: 0 };
+    }
+    if (Math.abs(fa) < Math.abs(fb)) {
+      [a, b] = [b, a];
+      [fa, fb] = [fb, fa];
+    }
+
+    let c = a;
+    let fc = fa;
+    let d = b - a;
+    let bisected = true;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      if (Math.abs(fb) < tolerance || Math.abs(b - a) < 1e-12) {
+        return { root: b, iterations: iteration };
+      }
+
+      let candidate;
+      if (fa !== fc && fb !== fc) {
+        // Inverse quadratic interpolation
+        candidate = a * fb * fc / ((fa - fb) * (fa - fc)) +
+                    b * fa * fc / ((fb - fa) * (fb - fc)) +
+                    c * fa * fb / ((fc - fa) * (fc - fb));
+      } else {
+        // Secant step
+        candidate = b - fb * (b - a) / (fb - fa);
+      }
+
+      const midpoint = (3 * a + b) / 4;
+      const outside = (candidate - midpoint) * (candidate - b) >= 0;
+      const slow = bisected
+        ? Math.abs(candidate - b) >= Math.abs(b - c) / 2
+        : Math.abs(candidate - b) >= Math.abs(c - d) / 2;
+
+      if (outside || slow) {
+        candidate = (a + b) / 2;
+        bisected = true;
+      } else {
+        bisected = false;
+      }
+
+      const fCandidate = f(candidate);
+      d = c;
+      c = b;
+      fc = fb;
+
+      if (fa * fCandidate < 0) {
+        b = candidate;
+        fb = fCandidate;
+      } else {
+        a = candidate;
+        fa = fCandidate;
+      }
+
+      if (Math.abs(fa) < Math.abs(fb)) {
+        [a, b] = [b, a];
+        [fa, fb] = [fb, fa];
+      }
+    }
+
+    return { root: null, iterations: maxIterations };
   }
 
-  // Calculate implied volatility using Newton-Raphson method
-  calculateImpliedVolatility(S, K, T, r, marketPrice, optionType, maxIterations = 100, tolerance = 1e-5) {
+  // Solve implied volatility with a reason code. Newton-Raphson from a
+  // Brenner-Subrahmanyam seed, falling back to Brent's method when vega
+  // collapses or Newton leaves the bracket. With model 'black76', S is the forward.
+  // reason: ok | expired | invalid_input | below_intrinsic | at_intrinsic | above_max | no_convergence
+  solveImpliedVolatility(S, K, T, r, marketPrice, optionType, model = 'black-scholes', maxIterations = 100, tolerance = 1e-5) {
+    const pricing = { model, rate: r, basis: 0 };
+    const result = (impliedVolatility, reason, method = null, iterations = 0, bounds = null) => ({
+      impliedVolatility, reason, method, iterations, bounds
+    });
+
+    if (![S, K, T, r, marketPrice].every(Number.isFinite) || S <= 0 || K <= 0 || marketPrice < 0) {
+      return result(null, 'invalid_input');
+    }
+
     if (T <= 0) {
       const intrinsic = optionType === 'call' ? Math.max(0, S - K) : Math.max(0, K - S);
-      return intrinsic === marketPrice ? 0 : null;
+      return Math.abs(intrinsic - marketPrice) < tolerance
+        ? result(0, 'expired')
+        : result(null, marketPrice < intrinsic ? 'below_intrinsic' : 'above_max');
     }
 
-    let sigma = 0.5; // Initial guess
+    const bounds = this.getArbitrageBounds(S, K, T, r, optionType, model);
+    if (marketPrice < bounds.lower - tolerance) {
+      return result(null, 'below_intrinsic', null, 0, bounds);
+    }
+    if (marketPrice <= bounds.lower + tolerance) {
+      // No time value left, so every low enough volatility fits the price
+      return result(null, 'at_intrinsic', null, 0, bounds);
+    }
+    if (marketPrice >= bounds.upper) {
+      return result(null, 'above_max', null, 0, bounds);
+    }
+
+    const minSigma = 1e-4;
+    const maxSigma = 10;
+    const objective = sigma => this.priceOption(S, K, T, sigma, optionType, pricing) - marketPrice;
+
+    // Newton-Raphson, tracking a bracket so a bad step can be detected
+    let sigma = Math.min(3, Math.max(0.05, Math.sqrt(2 * Math.PI / T) * marketPrice / S));
     let iteration = 0;
 
     while (iteration < maxIterations) {
-      const price = this.blackScholes(S, K, T, r, sigma, optionType);
-      const diff = marketPrice - price;
+      const diff = objective(sigma);
 
       if (Math.abs(diff) < tolerance) {
-        return sigma;
+        return result(sigma, 'ok', 'newton', iteration, bounds);
       }
 
-      const vega = this.calculateGreeks(S, K, T, r, sigma, optionType).vega;
-      
-      if (Math.abs(vega) < 1e-10) {
+      const vega = this.calculateOptionGreeks(S, K, T, sigma, optionType, pricing).vega;
+      const next = sigma - diff / vega;
+
+      if (Math.abs(vega) < 1e-8 || !Number.isFinite(next) || next <= minSigma || next >= maxSigma) {
         break;
       }
 
-      sigma = sigma + diff / vega;
-      sigma = Math.max(0.001, sigma); // Ensure positive volatility
-
+      sigma = next;
       iteration++;
     }
 
-    return null; // Failed to converge
+    // Bracketed fallback
+    const brent = this.brentSolve(objective, minSigma, maxSigma, tolerance, maxIterations);
+    if (brent.root !== null) {
+      return result(brent.root, 'ok', 'brent', iteration + brent.iterations, bounds);
+    }
+
+    return result(null, 'no_convergence', 'brent', iteration + brent.iterations, bounds);
+  }
+
+  // Get the unit labels for a Greek convention ('annual' by default, or 'trader')
+  getGreekUnits(units = 'annual') {
+    return GREEK_UNITS[units] || GREEK_UNITS.annual;
+  }
+
+  // Convert raw (annualised, per 1.00 vol/rate) Greeks to a unit convention.
+  // 'trader': theta/charm/color per calendar day, vega/vanna/volga/zomma per
+  // 1 vol point, rho per 1% rate, plus BTC and dollar delta/gamma.
+  convertGreekUnits(greeks, underlyingPrice, units = 'annual') {
+    if (units !== 'trader') {
+      return greeks;
+    }
+
+    return {
+      ...greeks,
+      deltaBTC: greeks.delta,
+      dollarDelta: greeks.delta * underlyingPrice,
+      dollarGamma: greeks.gamma * underlyingPrice * underlyingPrice / 100,
+      theta: greeks.theta / 365,
+      vega: greeks.vega / 100,
+      rho: greeks.rho / 100,
+      vanna: greeks.vanna / 100,
+      volga: greeks.volga / 10000,
+      charm: greeks.charm / 365,
+      color: greeks.color / 365,
+      zomma: greeks.zomma / 100
+    };
+  }
+
+  // Greeks in BTC at the underlying price. Delta is the BTC exposure, which for
+  // inverse options includes the premium held in BTC; theta/vega/rho are the
+  // USD sensitivities converted at the underlying price.
+  convertGreeksToBTC(greeks, optionPrice, underlyingPrice, settlement = 'linear') {
+    return {
+      delta: settlement === 'inverse' ? greeks.delta - optionPrice / underlyingPrice : greeks.delta,
+      theta: this.toBTC(greeks.theta, underlyingPrice),
+      vega: this.toBTC(greeks.vega, underlyingPrice),
+      rho: this.toBTC(greeks.rho, underlyingPrice)
+    };
+  }
+
+  // Calculate implied volatility (null when no volatility reproduces the price).
+  // With model 'black76', S is the forward price.
+  calculateImpliedVolatility(S, K, T, r, marketPrice, optionType, model = 'black-scholes', maxIterations = 100, tolerance = 1e-5) {
+    return this.solveImpliedVolatility(S, K, T, r, marketPrice, optionType, model, maxIterations, tolerance).impliedVolatility;
+  }
+
+  // Parse an IV quote; Delta reports decimals but percentages are tolerated
+  parseQuotedVolatility(value) {
+    const iv = parseFloat(value);
+    if (!Number.isFinite(iv) || iv <= 0) {
+      return null;
+    }
+    return iv > 5 ? iv / 100 : iv;
+  }
+
+  // IV from a live ticker: quotes.mark_iv, else the bid/ask IV mid, else either side
+  getQuotedVolatility(ticker) {
+    if (!ticker) {
+      return null;
+    }
+    const quotes = ticker.quotes || {};
+    const markIv = this.parseQuotedVolatility(quotes.mark_iv || ticker.mark_iv);
+    const bidIv = this.parseQuotedVolatility(quotes.bid_iv || ticker.bid_iv);
+    const askIv = this.parseQuotedVolatility(quotes.ask_iv || ticker.ask_iv);
+
+    if (markIv) return markIv;
+    if (bidIv && askIv) return (bidIv + askIv) / 2;
+    return askIv || bidIv;
+  }
+
+  // Annualised close-to-close realized volatility from a price series
+  calculateRealizedVolatility(closes, periodsPerYear = 365) {
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      if (closes[i] > 0 && closes[i - 1] > 0) {
+        returns.push(Math.log(closes[i] / closes[i - 1]));
+      }
+    }
+    if (returns.length < 2) {
+      return null;
+    }
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / (returns.length - 1);
+    return Math.sqrt(variance * periodsPerYear);
+  }
+
+  // Resolve the volatility for an option and report where it came from:
+  // override (options.volatilityOverride or option.impliedVolatility), quote
+  // (live mark/bid/ask IV in options.marketData), surface (options.volSurface,
+  // the `fit` of a volSurfaceService surface), realized (options.realizedVolatility),
+  // then default (0.5)
+  resolveVolatility(option, underlyingPrice, T, options = {}) {
+    const override = parseFloat(options.volatilityOverride || option.impliedVolatility);
+    if (override > 0) {
+      return { volatility: override, source: 'override' };
+    }
+
+    const quoted = this.getQuotedVolatility((options.marketData || {})[option.symbol]);
+    if (quoted) {
+      return { volatility: quoted, source: 'quote' };
+    }
+
+    const pricing = this.resolvePricing(underlyingPrice, options);
+    const forward = this.getForwardPrice(underlyingPrice, T, pricing);
+    const fitted = sviModel.getVolatility(options.volSurface, option.strikePrice, T, forward);
+    if (fitted) {
+      return { volatility: fitted, source: 'surface' };
+    }
+
+    if (options.realizedVolatility > 0) {
+      return { volatility: options.realizedVolatility, source: 'realized' };
+    }
+
+    return { volatility: 0.5, source: 'default' };
   }
 
-  // Calculate option price and Greeks
-  calculateOptionMetrics(option, currentPrice) {
-    const S = currentPrice;
+  // Volatility of a strategy leg at T years: the one already resolved for it
+  // (leg.volatility), else resolveVolatility with the leg's IV override
+  // (leg.impliedVolatility)
+  getLegVolatility(leg, underlyingPrice, T, options = {}) {
+    if (leg.volatility > 0) {
+      return leg.volatility;
+    }
+    return this.resolveVolatility(leg.option, underlyingPrice, T, {
+      ...options,
+      volatilityOverride: leg.impliedVolatility
+    }).volatility;
+  }
+
+  // One volatility for a whole strategy over T years (probability and path
+  // models): the mean option leg volatility, else resolveVolatility for an ATM
+  // strike (surface, realized, default) when the strategy holds only futures
+  resolveStrategyVolatility(strategy, underlyingPrice, T, options = {}) {
+    const legVolatilities = strategy.legs
+      .filter(leg => leg.option.contractType !== 'futures')
+      .map(leg => {
+        const legT = this.calculateTimeToExpiry(this.getSettlementDate(leg.option), this.getValuationDate(options));
+        return this.getLegVolatility(leg, underlyingPrice, legT, options);
+      });
+    if (legVolatilities.length > 0) {
+      return {
+        volatility: legVolatilities.reduce((sum, v) => sum + v, 0) / legVolatilities.length,
+        source: 'legs'
+      };
+    }
+    return this.resolveVolatility({ strikePrice: underlyingPrice }, underlyingPrice, T, {
+      ...options,
+      volatilityOverride: undefined
+    });
+  }
+
+  // Calculate option price and Greeks (options: see resolvePricing;
+  // options.units selects the Greek convention, see convertGreekUnits;
+  // options.asOf the valuation time, see getValuationDate)
+  calculateOptionMetrics(option, currentPrice, options = {}) {
+    const units = this.getGreekUnits(options.units).convention;
+    const pricing = this.resolvePricing(currentPrice, options);
+    const S = pricing.referencePrice;
     const K = option.strikePrice;
-    const T = this.calculateTimeToExpiry(option.expirationDate);
-    const r = this.riskFreeRate;
+    const settlementDate = this.getSettlementDate(option);
+    const minutesToExpiry = this.calculateMinutesToExpiry(settlementDate, this.getValuationDate(options));
+    const T = minutesToExpiry / this.minutesPerYear;
+    const { volatility: sigma, source: ivSource } = this.resolveVolatility(option, S, T, { ...options, pricing });
     const optionType = option.contractType === 'call_option' ? 'call' : 'put';
+    const settlement = this.getContractSettlement(option);
 
-    // Use market price if available, otherwise calculate theoretical
-    const marketPrice = option.lastPrice || this.blackScholes(S, K, T, r, option.impliedVolatility || 0.5, optionType);
+    // Use market price if available (quoted in BTC for inverse products), otherwise calculate theoretical
+    const marketPrice = option.lastPrice
+      ? (settlement === 'inverse' ? option.lastPrice * S : option.lastPrice)
+      : this.priceOption(S, K, T, sigma, optionType, pricing);
     
-    const greeks = this.calculateGreeks(S, K, T, r, option.impliedVolatility || 0.5, optionType);
+    const underlyingPrice = pricing.model === 'black76' ? this.getForwardPrice(S, T, pricing) : S;
+    const greeks = this.convertGreekUnits(
+      this.calculateOptionGreeks(S, K, T, sigma, optionType, pricing),
+      underlyingPrice,
+      units
+    );
     
     return {
       price: marketPrice,
+      priceBTC: this.toBTC(marketPrice, S),
+      settlement,
       intrinsic: optionType === 'call' ? Math.max(0, S - K) : Math.max(0, K - S),
       extrinsic: marketPrice - (optionType === 'call' ? Math.max(0, S - K) : Math.max(0, K - S)),
       greeks,
-      dte: this.calculateDTE(option.expirationDate),
-      timeToExpiry: T
+      greeksBTC: this.convertGreeksToBTC(greeks, marketPrice, S, settlement),
+      dte: minutesToExpiry / (24 * 60),
+      hoursToExpiry: minutesToExpiry / 60,
+      minutesToExpiry,
+      settlementTime: settlementDate ? settlementDate.toISOString() : null,
+      timeToExpiry: T,
+      impliedVolatility: sigma,
+      ivSource,
+      pricingModel: pricing.model,
+      underlyingPrice,
+      greekUnits: this.getGreekUnits(units)
+    };
+  }
+
+  // d1, d2 and the normal terms a call and a put share at one strike, expiry and
+  // volatility, memoised in cache (a Map scoped to one underlying price)
+  getPricingTerms(underlying, K, T, sigma, pricing, cache) {
+    const key = `${K}|${T}|${sigma}`;
+    let terms = cache.get(key);
+    if (!terms) {
+      const black76 = pricing.model === 'black76';
+      const F = black76 ? this.getForwardPrice(underlying, T, pricing) : underlying;
+      const sqrtT = Math.sqrt(T);
+      const sigmaRootT = sigma * sqrtT;
+      const d1 = (Math.log(F / K) + ((black76 ? 0 : pricing.rate) + 0.5 * sigma * sigma) * T) / sigmaRootT;
+      const d2 = d1 - sigmaRootT;
+      terms = {
+        F,
+        sqrtT,
+        sigmaRootT,
+        d1,
+        d2,
+        pdfD1: this.normalPDF(d1),
+        cdfD1: this.normalCDF(d1),
+        cdfD2: this.normalCDF(d2),
+        discount: Math.exp(-pricing.rate * T)
+      };
+      cache.set(key, terms);
+    }
+    return terms;
+  }
+
+  // Price and raw Greeks from cached terms; matches blackScholes/calculateGreeks
+  // and black76/calculateBlack76Greeks
+  priceFromTerms(terms, K, T, sigma, optionType, pricing) {
+    const { F, sqrtT, sigmaRootT, d1, d2, pdfD1, cdfD1, cdfD2, discount } = terms;
+    const r = pricing.rate;
+    const call = optionType === 'call';
+
+    if (pricing.model === 'black76') {
+      const price = call
+        ? discount * (F * cdfD1 - K * cdfD2)
+        : discount * (K * (1 - cdfD2) - F * (1 - cdfD1));
+      const delta = call ? discount * cdfD1 : discount * (cdfD1 - 1);
+      const gamma = discount * pdfD1 / (F * sigmaRootT);
+      const vega = discount * F * sqrtT * pdfD1;
+      return {
+        price,
+        greeks: {
+          delta,
+          gamma,
+          theta: (-discount * F * pdfD1 * sigma / (2 * sqrtT)) + r * price,
+          vega,
+          rho: -T * price,
+          vanna: -discount * pdfD1 * d2 / sigma,
+          volga: vega * d1 * d2 / sigma,
+          charm: r * delta + discount * pdfD1 * d2 / (2 * T),
+          speed: -(gamma / F) * (1 + d1 / sigmaRootT),
+          color: gamma * (r + (1 - d1 * d2) / (2 * T)),
+          zomma: gamma * (d1 * d2 - 1) / sigma
+        }
+      };
+    }
+
+    const S = F;
+    const gamma = pdfD1 / (S * sigmaRootT);
+    const vega = S * sqrtT * pdfD1;
+    const decay = -S * pdfD1 * sigma / (2 * sqrtT);
+    return {
+      price: call
+        ? S * cdfD1 - K * discount * cdfD2
+        : K * discount * (1 - cdfD2) - S * (1 - cdfD1),
+      greeks: {
+        delta: call ? cdfD1 : cdfD1 - 1,
+        gamma,
+        theta: call ? decay - r * K * discount * cdfD2 : decay + r * K * discount * (1 - cdfD2),
+        vega,
+        rho: call ? K * T * discount * cdfD2 : -K * T * discount * (1 - cdfD2),
+        vanna: -pdfD1 * d2 / sigma,
+        volga: vega * d1 * d2 / sigma,
+        charm: -pdfD1 * (2 * r * T - d2 * sigmaRootT) / (2 * T * sigmaRootT),
+        speed: -(gamma / S) * (d1 / sigmaRootT + 1),
+        color: (pdfD1 / (2 * S * T * sigmaRootT)) * (1 + d1 * (2 * r * T - d2 * sigmaRootT) / sigmaRootT),
+        zomma: gamma * (d1 * d2 - 1) / sigma
+      }
+    };
+  }
+
+  // Price a whole chain in one pass (same options as calculateOptionMetrics, asOf included).
+  // Time to expiry is resolved once per expiry and d1/d2 once per (strike,
+  // expiry, vol), so calls and puts sharing a strike reuse each other's terms.
+  // Futures and products without a strike are skipped.
+  priceChain(products, currentPrice, options = {}) {
+    const units = this.getGreekUnits(options.units).convention;
+    const pricing = this.resolvePricing(currentPrice, options);
+    const now = this.getValuationDate(options);
+    const pricedOptions = { ...options, pricing, asOf: now };
+    const S = pricing.referencePrice;
+    const expiries = new Map();
+    const cache = new Map();
+    let lookups = 0;
+
+    const results = products
+      .filter(option => (option.contractType === 'call_option' || option.contractType === 'put_option') && option.strikePrice > 0)
+      .map(option => {
+        const settlementDate = this.getSettlementDate(option);
+        const expiryKey = settlementDate ? settlementDate.getTime() : null;
+        if (!expiries.has(expiryKey)) {
+          expiries.set(expiryKey, this.calculateMinutesToExpiry(settlementDate, now));
+        }
+        const minutesToExpiry = expiries.get(expiryKey);
+        const T = minutesToExpiry / this.minutesPerYear;
+        const K = option.strikePrice;
+        const optionType = option.contractType === 'call_option' ? 'call' : 'put';
+        const settlement = this.getContractSettlement(option);
+        const { volatility: sigma, source: ivSource } = this.resolveVolatility(option, S, T, pricedOptions);
+
+        let theoretical;
+        let rawGreeks;
+        if (T > 0) {
+          lookups++;
+          const terms = this.getPricingTerms(S, K, T, sigma, pricing, cache);
+          ({ price: theoretical, greeks: rawGreeks } = this.priceFromTerms(terms, K, T, sigma, optionType, pricing));
+        } else {
+          theoretical = this.priceOption(S, K, T, sigma, optionType, pricing);
+          rawGreeks = this.calculateOptionGreeks(S, K, T, sigma, optionType, pricing);
+        }
+
+        const price = option.lastPrice
+          ? (settlement === 'inverse' ? option.lastPrice * S : option.lastPrice)
+          : theoretical;
+        const underlyingPrice = pricing.model === 'black76' ? this.getForwardPrice(S, T, pricing) : S;
+        const greeks = this.convertGreekUnits(rawGreeks, underlyingPrice, units);
+
+        return {
+          id: option.id,
+          symbol: option.symbol,
+          contractType: option.contractType,
+          strikePrice: K,
+          settlementTime: settlementDate ? settlementDate.toISOString() : null,
+          dte: minutesToExpiry / (24 * 60),
+          timeToExpiry: T,
+          impliedVolatility: sigma,
+          ivSource,
+          price,
+          theoreticalPrice: theoretical,
+          priceBTC: this.toBTC(price, S),
+          settlement,
+          underlyingPrice,
+          greeks,
+          greeksBTC: this.convertGreeksToBTC(greeks, price, S, settlement)
+        };
+      });
+
+    return {
+      underlyingPrice: S,
+      pricing,
+      asOf: now.toISOString(),
+      greekUnits: this.getGreekUnits(units),
+      count: results.length,
+      expiries: expiries.size,
+      cache: { entries: cache.size, hits: lookups - cache.size },
+      options: results
+    };
+  }
+
+  // Metrics for a futures leg in the same shape as calculateOptionMetrics. Delta is
+  // 1 per contract (1 BTC of underlying, as for option legs), all other Greeks are
+  // zero; lotSize is the exchange contract size, for reference.
+  calculateFuturesMetrics(leg, currentPrice, options = {}) {
+    const units = this.getGreekUnits(options.units).convention;
+    const pricing = this.resolvePricing(currentPrice, options);
+    const S = pricing.referencePrice;
+    const option = leg.option;
+    const settlement = this.getContractSettlement(option);
+    const lotSize = this.getLotSize(option);
+    const entryPrice = parseFloat(leg.entryPrice) > 0 ? parseFloat(leg.entryPrice) : S;
+    const quote = (options.marketData || {})[option.symbol] || {};
+    const mark = parseFloat(quote.mark_price || quote.price) > 0 ? parseFloat(quote.mark_price || quote.price) : S;
+
+    const settlementDate = this.getSettlementDate(option);
+    const minutesToExpiry = this.calculateMinutesToExpiry(settlementDate, this.getValuationDate(options));
+    const greeks = this.convertGreekUnits({
+      delta: 1,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0,
+      vanna: 0,
+      volga: 0,
+      charm: 0,
+      speed: 0,
+      color: 0,
+      zomma: 0
+    }, S, units);
+
+    return {
+      price: mark,
+      priceBTC: null,
+      settlement,
+      lotSize,
+      unrealizedPnL: this.getFuturesValue({ ...leg, entryPrice }, mark),
+      intrinsic: null,
+      extrinsic: null,
+      greeks,
+      greeksBTC: this.convertGreeksToBTC(greeks, 0, S),
+      dte: minutesToExpiry / (24 * 60),
+      hoursToExpiry: minutesToExpiry / 60,
+      minutesToExpiry,
+      settlementTime: settlementDate ? settlementDate.toISOString() : null,
+      timeToExpiry: minutesToExpiry / this.minutesPerYear,
+      impliedVolatility: null,
+      ivSource: null,
+      pricingModel: pricing.model,
+      underlyingPrice: S,
+      greekUnits: this.getGreekUnits(units)
+    };
+  }
+
+  // Resolve the premium paid/received per contract for a strategy leg.
+  // Order: the leg's entered price, the live quote mid, then theoretical value.
+  // Inverse products are quoted in BTC, so their entry price is in BTC.
+  // Futures enter at the entered price, the live mark, then the underlying price.
+  resolveLegEntryPrice(leg, currentPrice, options = {}) {
+    const { marketData = {} } = options;
+    const enteredPrice = parseFloat(leg.price);
+    if (Number.isFinite(enteredPrice) && enteredPrice > 0) {
+      return { entryPrice: enteredPrice, premiumSource: 'entered' };
+    }
+
+    const option = leg.option || {};
+    if (option.contractType === 'futures') {
+      const quote = marketData[option.symbol] || {};
+      const mark = parseFloat(quote.mark_price || quote.price);
+      return mark > 0
+        ? { entryPrice: mark, premiumSource: 'market_mark' }
+        : { entryPrice: currentPrice, premiumSource: 'underlying' };
+    }
+
+    const quote = marketData[option.symbol] || option;
+    const bid = parseFloat(quote.best_bid || quote.bid);
+    const ask = parseFloat(quote.best_ask || quote.ask);
+    if (bid > 0 && ask > 0 && ask >= bid) {
+      return { entryPrice: (bid + ask) / 2, premiumSource: 'market_mid' };
+    }
+
+    const metrics = this.calculateOptionMetrics(option, currentPrice, {
+      ...options,
+      volatilityOverride: leg.impliedVolatility
+    });
+    const entryPrice = metrics.settlement === 'inverse' ? metrics.priceBTC : metrics.price;
+    return { entryPrice, premiumSource: 'theoretical' };
+  }
+
+  // Fix each leg's entry premium and volatility the way calculateStrategyMetrics
+  // does, for revaluations (scenarios, simulations) that skip the full metrics
+  prepareStrategyLegs(strategy, underlyingPrice, pricedOptions) {
+    const legs = strategy.legs.map(leg => {
+      const entry = this.resolveLegEntryPrice(leg, underlyingPrice, pricedOptions);
+      if (leg.option.contractType === 'futures') {
+        return { ...leg, ...entry };
+      }
+      const metrics = this.calculateOptionMetrics(leg.option, underlyingPrice, {
+        ...pricedOptions,
+        volatilityOverride: leg.impliedVolatility
+      });
+      return { ...leg, ...entry, volatility: metrics.impliedVolatility, ivSource: metrics.ivSource };
+    });
+    return this.attachLegFees({ ...strategy, legs }, underlyingPrice, pricedOptions);
+  }
+
+  // Entry costs per contract (USD) of a leg with a resolved entry price: the
+  // exchange trading fee plus slippage. Slippage only applies to quote-derived
+  // entries (an entered price is taken as the fill); taker fills cross half the spread.
+  calculateLegFees(leg, underlyingPrice, schedule, marketData = {}) {
+    const option = leg.option;
+    const quote = marketData[option.symbol] || option;
+    const bid = parseFloat(quote.best_bid || quote.bid);
+    const ask = parseFloat(quote.best_ask || quote.ask);
+    const fromQuote = leg.premiumSource === 'market_mid' || leg.premiumSource === 'market_mark';
+    const inverse = this.getContractSettlement(option) === 'inverse';
+    let tradingFee;
+    let slippage = fromQuote ? feeService.getSlippage(bid, ask, schedule) : 0;
+
+    if (option.contractType === 'futures') {
+      // Futures quotes are USD prices for both settlements; notional is 1 BTC at entry
+      const entryPrice = parseFloat(leg.entryPrice) || underlyingPrice;
+      tradingFee = feeService.getTradingFee('futures', entryPrice, 0, schedule);
+    } else {
+      tradingFee = feeService.getTradingFee('option', underlyingPrice, this.getPremiumValue(leg, underlyingPrice), schedule);
+      slippage *= inverse ? underlyingPrice : 1;
+    }
+
+    return {
+      orderType: schedule ? schedule.orderType : null,
+      tradingFee,
+      slippage,
+      slippageSource: leg.premiumSource === 'entered' ? 'entered' : fromQuote && slippage > 0 ? 'quote' : 'none',
+      entryCosts: tradingFee + slippage
+    };
+  }
+
+  // Resolve the fee schedule (options.fees: overrides, false to disable) and
+  // attach it, with each leg's entry costs, to a strategy with resolved entry prices
+  attachLegFees(strategy, underlyingPrice, options = {}) {
+    const feeSchedule = feeService.resolveSchedule(options.fees);
+    return {
+      ...strategy,
+      feeSchedule,
+      legs: strategy.legs.map(leg => ({
+        ...leg,
+        fees: this.calculateLegFees(leg, underlyingPrice, feeSchedule, options.marketData)
+      }))
     };
   }
 
-  // Calculate strategy metrics for multi-leg positions
-  calculateStrategyMetrics(strategy, currentPrice) {
+  // Fees and slippage (USD per contract) of a leg at an underlying price: entry
+  // costs, plus the settlement fee when an option settles at that price
+  getLegCosts(leg, price, settled, schedule) {
+    const entryCosts = leg.fees ? leg.fees.entryCosts : 0;
+    if (!settled || leg.option.contractType === 'futures') {
+      return entryCosts;
+    }
+    const intrinsic = leg.option.contractType === 'call_option'
+      ? Math.max(0, price - leg.option.strikePrice)
+      : Math.max(0, leg.option.strikePrice - price);
+    return entryCosts + feeService.getSettlementFee(price, intrinsic, schedule);
+  }
+
+  // Calculate strategy metrics for multi-leg positions.
+  // options.asOf: valuation time (ISO string or Unix ms; default now), see getValuationDate
+  // options.horizons: extra valuation dates (ISO strings or days from asOf)
+  // options.ivShift: volatility shift applied to every leg (0.05 = +5 vol points)
+  // options.model/forwardPrice/forwardSymbol/rate/basis: see resolvePricing
+  // options.probabilityVolatility: volatility for probability metrics (default: mean leg IV)
+  // options.marginRequirement: initial margin for return on margin (see marginService)
+  // options.fees: fee schedule overrides (see feeService.resolveSchedule), false to ignore fees
+  // Costs, payoffs and break-evens are net of trading fees, slippage and settlement fees.
+  // Money figures are in USD; *BTC fields give the same figures in BTC at the underlying price.
+  calculateStrategyMetrics(strategy, currentPrice, options = {}) {
+    const { horizons = [], ivShift = 0, probabilityVolatility } = options;
+    const pricing = this.resolvePricing(currentPrice, options);
+    const now = this.getValuationDate(options);
+    const pricedOptions = { ...options, pricing, asOf: now };
+    const underlyingPrice = pricing.referencePrice;
     let totalDelta = 0;
     let totalGamma = 0;
     let totalTheta = 0;
     let totalVega = 0;
     let totalRho = 0;
+    let totalVanna = 0;
+    let totalVolga = 0;
+    let totalCharm = 0;
+    let totalSpeed = 0;
+    let totalColor = 0;
+    let totalZomma = 0;
+    let totalDollarDelta = 0;
+    let totalDollarGamma = 0;
     let totalCost = 0;
-    let maxProfit = 0;
-    let maxLoss = 0;
-    let breakEvenPoints = [];
+    let totalDeltaBTC = 0;
+    let totalThetaBTC = 0;
+    let totalVegaBTC = 0;
+    let totalRhoBTC = 0;
+    let totalTradingFees = 0;
+    let totalSlippage = 0;
+
+    // Fix each leg's entry premium and costs once so the payoff curve and cost agree
+    const pricedStrategy = this.attachLegFees({
+      ...strategy,
+      legs: strategy.legs.map(leg => ({
+        ...leg,
+        ...this.resolveLegEntryPrice(leg, underlyingPrice, pricedOptions)
+      }))
+    }, underlyingPrice, pricedOptions);
 
     // Calculate metrics for each leg
-    const legs = strategy.legs.map(leg => {
-      const metrics = this.calculateOptionMetrics(leg.option, currentPrice);
+    const legs = pricedStrategy.legs.map(leg => {
+      const metrics = leg.option.contractType === 'futures'
+        ? this.calculateFuturesMetrics(leg, underlyingPrice, pricedOptions)
+        : this.calculateOptionMetrics(leg.option, underlyingPrice, {
+          ...pricedOptions,
+          volatilityOverride: leg.impliedVolatility
+        });
       const positionSize = leg.quantity * (leg.action === 'buy' ? 1 : -1);
+      const premiumValue = this.getPremiumValue(leg, underlyingPrice);
+      const positionCost = premiumValue * positionSize + leg.fees.entryCosts * leg.quantity;
       
       const legMetrics = {
         ...metrics,
@@ -163,7 +1088,30 @@ class OptionsCalculator {
         positionTheta: metrics.greeks.theta * positionSize,
         positionVega: metrics.greeks.vega * positionSize,
         positionRho: metrics.greeks.rho * positionSize,
-        positionCost: metrics.price * leg.quantity * (leg.action === 'buy' ? 1 : -1),
+        positionVanna: metrics.greeks.vanna * positionSize,
+        positionVolga: metrics.greeks.volga * positionSize,
+        positionCharm: metrics.greeks.charm * positionSize,
+        positionSpeed: metrics.greeks.speed * positionSize,
+        positionColor: metrics.greeks.color * positionSize,
+        positionZomma: metrics.greeks.zomma * positionSize,
+        positionDollarDelta: (metrics.greeks.dollarDelta || 0) * positionSize,
+        positionDollarGamma: (metrics.greeks.dollarGamma || 0) * positionSize,
+        positionCost,
+        positionCostBTC: this.toBTC(positionCost, underlyingPrice),
+        positionDeltaBTC: metrics.greeksBTC.delta * positionSize,
+        positionThetaBTC: metrics.greeksBTC.theta * positionSize,
+        positionVegaBTC: metrics.greeksBTC.vega * positionSize,
+        positionRhoBTC: metrics.greeksBTC.rho * positionSize,
+        entryPrice: leg.entryPrice,
+        premiumSource: leg.premiumSource,
+        premiumCurrency: metrics.settlement === 'inverse' && leg.option.contractType !== 'futures' ? 'BTC' : 'USD',
+        fees: {
+          ...leg.fees,
+          tradingFee: leg.fees.tradingFee * leg.quantity,
+          slippage: leg.fees.slippage * leg.quantity,
+          entryCosts: leg.fees.entryCosts * leg.quantity,
+          settlementFeeAtCurrentPrice: (this.getLegCosts(leg, underlyingPrice, true, pricedStrategy.feeSchedule) - leg.fees.entryCosts) * leg.quantity
+        },
         quantity: leg.quantity,
         action: leg.action
       };
@@ -173,25 +1121,64 @@ class OptionsCalculator {
       totalTheta += legMetrics.positionTheta;
       totalVega += legMetrics.positionVega;
       totalRho += legMetrics.positionRho;
+      totalVanna += legMetrics.positionVanna;
+      totalVolga += legMetrics.positionVolga;
+      totalCharm += legMetrics.positionCharm;
+      totalSpeed += legMetrics.positionSpeed;
+      totalColor += legMetrics.positionColor;
+      totalZomma += legMetrics.positionZomma;
+      totalDollarDelta += legMetrics.positionDollarDelta;
+      totalDollarGamma += legMetrics.positionDollarGamma;
       totalCost += legMetrics.positionCost;
+      totalDeltaBTC += legMetrics.positionDeltaBTC;
+      totalThetaBTC += legMetrics.positionThetaBTC;
+      totalVegaBTC += legMetrics.positionVegaBTC;
+      totalRhoBTC += legMetrics.positionRhoBTC;
+      totalTradingFees += legMetrics.fees.tradingFee;
+      totalSlippage += legMetrics.fees.slippage;
 
       return legMetrics;
     });
 
-    // Calculate payoff at different price points
-    const priceRange = this.calculatePayoffRange(strategy, currentPrice);
+    // Reprice before expiry with the same per-leg volatility the Greeks used
+    const valuedStrategy = {
+      ...pricedStrategy,
+      legs: pricedStrategy.legs.map((leg, index) => ({ ...leg, volatility: legs[index].impliedVolatility }))
+    };
+
+    // Calculate payoff at different price points (at the first expiry when legs expire on different dates)
+    const multipleExpiries = this.hasMultipleExpiries(pricedStrategy);
+    const firstExpiry = this.getFirstExpiry(pricedStrategy, now);
+    const priceRange = this.calculatePayoffRange(pricedStrategy, underlyingPrice);
     const payoffData = priceRange.map(price => {
-      const payoff = this.calculateStrategyPayoff(strategy, price);
-      return { price, payoff };
+      const payoff = multipleExpiries
+        ? this.calculateStrategyValueAt(valuedStrategy, price, firstExpiry, 0, pricing)
+        : this.calculateStrategyPayoff(pricedStrategy, price);
+      return { price, payoff, payoffBTC: this.toBTC(payoff, price) };
     });
 
-    // Find break-even points
-    breakEvenPoints = this.findBreakEvenPoints(payoffData);
+    const payoffCurves = this.calculatePayoffCurves(valuedStrategy, priceRange, horizons, ivShift, pricing, now);
+
+    // Break-evens and max profit/loss (possibly unlimited) at the first expiry
+    const {
+      breakEvenPoints,
+      maxProfit,
+      maxProfitPrice,
+      maxLoss,
+      maxLossPrice,
+      maxProfitBTC,
+      maxLossBTC,
+      valuation: payoffValuation
+    } = this.analyzeExpiryPayoff(valuedStrategy, pricing);
 
-    // Calculate max profit and loss
-    const payoffs = payoffData.map(p => p.payoff);
-    maxProfit = Math.max(...payoffs);
-    maxLoss = Math.min(...payoffs);
+    const probabilities = this.calculateStrategyProbabilities(valuedStrategy, underlyingPrice, {
+      pricing,
+      breakEvenPoints,
+      totalCost,
+      volatility: probabilityVolatility,
+      margin: options.marginRequirement,
+      volatilityOptions: pricedOptions
+    });
 
     return {
       legs,
@@ -200,19 +1187,324 @@ class OptionsCalculator {
       totalTheta,
       totalVega,
       totalRho,
+      totalVanna,
+      totalVolga,
+      totalCharm,
+      totalSpeed,
+      totalColor,
+      totalZomma,
+      totalDollarDelta,
+      totalDollarGamma,
       totalCost,
+      totalCostBTC: this.toBTC(totalCost, underlyingPrice),
+      totalDeltaBTC,
+      totalThetaBTC,
+      totalVegaBTC,
+      totalRhoBTC,
+      totalFees: {
+        tradingFees: totalTradingFees,
+        slippage: totalSlippage,
+        total: totalTradingFees + totalSlippage,
+        totalBTC: this.toBTC(totalTradingFees + totalSlippage, underlyingPrice)
+      },
+      feeSchedule: pricedStrategy.feeSchedule,
       maxProfit,
+      maxProfitPrice,
       maxLoss,
+      maxLossPrice,
+      maxProfitBTC,
+      maxLossBTC,
       breakEvenPoints,
+      payoffValuation,
       payoffData,
-      currentPrice
+      payoffCurves,
+      probabilities,
+      settlement: this.getStrategySettlement(strategy),
+      currentPrice,
+      pricing,
+      greekUnits: this.getGreekUnits(options.units)
+    };
+  }
+
+  // Settlement of a whole strategy: 'linear', 'inverse' or 'mixed'
+  getStrategySettlement(strategy) {
+    const settlements = [...new Set(strategy.legs.map(leg => this.getContractSettlement(leg.option)))];
+    return settlements.length === 1 ? settlements[0] : 'mixed';
+  }
+
+  // Settlement dates of the strategy's option legs, else of its dated futures
+  // (empty when it holds only perpetuals, which never expire)
+  getLegExpiries(strategy) {
+    const expiries = legs => legs
+      .map(leg => this.getSettlementDate(leg.option))
+      .filter(date => date !== null);
+    const optionExpiries = expiries(strategy.legs.filter(leg => leg.option.contractType !== 'futures'));
+    return optionExpiries.length > 0 ? optionExpiries : expiries(strategy.legs);
+  }
+
+  // Whether the strategy's option legs expire on more than one date (calendars, diagonals)
+  hasMultipleExpiries(strategy) {
+    const expiries = strategy.legs
+      .filter(leg => leg.option.contractType !== 'futures')
+      .map(leg => this.getSettlementDate(leg.option))
+      .filter(date => date !== null)
+      .map(date => date.getTime());
+    return new Set(expiries).size > 1;
+  }
+
+  // Earliest leg expiry (see getLegExpiries); a strategy of only perpetuals is
+  // analysed at the perpetual horizon, config.analysis.perpetualHorizonDays from now
+  getFirstExpiry(strategy, now = new Date()) {
+    const expiries = this.getLegExpiries(strategy);
+    return expiries.length > 0
+      ? new Date(Math.min(...expiries))
+      : new Date(now.getTime() + config.analysis.perpetualHorizonDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Probability that a lognormal underlying touches a barrier before T.
+  // drift is the log drift (mu - sigma^2 / 2) per year.
+  calculateTouchProbability(S, barrier, T, sigma, drift) {
+    if (T <= 0 || sigma <= 0) {
+      return 0;
+    }
+    const a = Math.log(barrier / S);
+    const sigmaRootT = sigma * Math.sqrt(T);
+    const reflection = Math.exp(2 * drift * a / (sigma * sigma));
+
+    const probability = a >= 0
+      ? this.normalCDF((-a + drift * T) / sigmaRootT) + reflection * this.normalCDF((-a - drift * T) / sigmaRootT)
+      : this.normalCDF((a - drift * T) / sigmaRootT) + reflection * this.normalCDF((a + drift * T) / sigmaRootT);
+    return Math.min(1, Math.max(0, probability));
+  }
+
+  // Probability of profit, break-even touch probabilities, expected P&L and
+  // expected return on margin at the first expiry, under a lognormal terminal
+  // distribution (risk-neutral drift; zero drift for Black-76 forwards)
+  // margin: initial margin from marginService (default: the premium paid, if any)
+  // volatilityOptions: marketData/volSurface/realizedVolatility for resolveStrategyVolatility,
+  // and asOf, the valuation time (see getValuationDate)
+  calculateStrategyProbabilities(strategy, underlyingPrice, { pricing, breakEvenPoints = [], totalCost = 0, volatility, margin, volatilityOptions = {} } = {}) {
+    const now = this.getValuationDate(volatilityOptions);
+    const horizon = this.getFirstExpiry(strategy, now);
+    const T = this.calculateTimeToExpiry(horizon, now);
+
+    const resolved = parseFloat(volatility) > 0
+      ? { volatility: parseFloat(volatility), source: 'user' }
+      : this.resolveStrategyVolatility(strategy, underlyingPrice, T, { ...volatilityOptions, pricing });
+    const sigma = resolved.volatility;
+    const drift = (pricing.model === 'black76' ? 0 : pricing.rate) - 0.5 * sigma * sigma;
+
+    // Integrate the P&L over standard normal quantiles of the terminal price
+    const steps = 2000;
+    const zMax = 6;
+    const dz = 2 * zMax / steps;
+    let probabilityOfProfit = 0;
+    let expectedPnL = 0;
+    let totalWeight = 0;
+
+    for (let i = 0; i <= steps; i++) {
+      const z = -zMax + i * dz;
+      const weight = this.normalPDF(z) * dz;
+      const price = underlyingPrice * Math.exp(drift * T + sigma * Math.sqrt(T) * z);
+      const pnl = this.calculateStrategyValueAt(strategy, price, horizon, 0, pricing);
+      totalWeight += weight;
+      expectedPnL += pnl * weight;
+      if (pnl > 0) {
+        probabilityOfProfit += weight;
+      }
+    }
+    probabilityOfProfit /= totalWeight;
+    expectedPnL /= totalWeight;
+
+    const capital = parseFloat(margin) > 0 ? parseFloat(margin) : Math.max(0, totalCost);
+
+    return {
+      volatility: sigma,
+      volatilitySource: resolved.source,
+      horizon: horizon.toISOString(),
+      timeToHorizon: T,
+      probabilityOfProfit,
+      expectedPnL,
+      expectedPnLBTC: this.toBTC(expectedPnL, underlyingPrice),
+      margin: capital,
+      marginBTC: this.toBTC(capital, underlyingPrice),
+      expectedReturnOnMargin: capital > 0 ? expectedPnL / capital : null,
+      breakEvenTouch: breakEvenPoints.map(price => ({
+        price,
+        probability: this.calculateTouchProbability(underlyingPrice, price, T, sigma, drift)
+      }))
     };
   }
 
+  // Evenly spaced values from min to max inclusive
+  buildRange(min, max, step) {
+    const count = Math.floor((max - min) / step + 1e-9);
+    return Array.from({ length: count + 1 }, (_, i) => Math.round((min + i * step) * 1e6) / 1e6);
+  }
+
+  // Revalue a strategy over a grid of underlying moves and IV shifts at a horizon.
+  // options.spotMoves: relative underlying moves (default -30%..+30% in 5% steps)
+  // options.ivShifts: volatility shifts (default -20..+20 vol points in 5 point steps)
+  // options.horizon: valuation date (ISO string or days from asOf; default asOf)
+  // options.asOf, options.units and pricing options as for calculateStrategyMetrics
+  calculateScenarioMatrix(strategy, currentPrice, options = {}) {
+    const units = this.getGreekUnits(options.units).convention;
+    const pricing = this.resolvePricing(currentPrice, options);
+    const underlyingPrice = pricing.referencePrice;
+    const now = this.getValuationDate(options);
+    const valuedStrategy = this.prepareStrategyLegs(strategy, underlyingPrice, { ...options, pricing, asOf: now });
+
+    const horizon = options.horizon !== undefined && options.horizon !== null && options.horizon !== ''
+      ? this.resolveHorizonDate(options.horizon, now)
+      : now;
+    if (isNaN(horizon.getTime())) {
+      throw new Error('Invalid scenario horizon');
+    }
+
+    const parseList = (values, fallback) => {
+      const parsed = Array.isArray(values)
+        ? values.map(value => parseFloat(value)).filter(value => Number.isFinite(value))
+        : [];
+      return parsed.length > 0 ? [...new Set(parsed)].sort((a, b) => a - b) : fallback;
+    };
+    const spotMoves = parseList(options.spotMoves, this.buildRange(-0.3, 0.3, 0.05)).filter(move => move > -1);
+    const ivShifts = parseList(options.ivShifts, this.buildRange(-0.2, 0.2, 0.05));
+
+    let minPnL = Infinity;
+    let maxPnL = -Infinity;
+    const rows = ivShifts.map(ivShift => ({
+      ivShift,
+      cells: spotMoves.map(spotMove => {
+        const price = underlyingPrice * (1 + spotMove);
+        const pnl = this.calculateStrategyValueAt(valuedStrategy, price, horizon, ivShift, pricing);
+        minPnL = Math.min(minPnL, pnl);
+        maxPnL = Math.max(maxPnL, pnl);
+        return {
+          spotMove,
+          price,
+          pnl,
+          pnlBTC: this.toBTC(pnl, price),
+          greeks: this.calculateStrategyGreeksAt(valuedStrategy, price, horizon, ivShift, pricing, units)
+        };
+      })
+    }));
+
+    return {
+      horizon: horizon.toISOString(),
+      underlyingPrice,
+      pricing,
+      spotMoves,
+      ivShifts,
+      rows,
+      minPnL,
+      maxPnL,
+      greekUnits: this.getGreekUnits(units)
+    };
+  }
+
+  // Resolve a horizon (Date, ISO string or number of days from now) to a Date
+  resolveHorizonDate(horizon, now = new Date()) {
+    if (typeof horizon === 'number' || /^\d+(\.\d+)?$/.test(String(horizon).trim())) {
+      return new Date(now.getTime() + parseFloat(horizon) * 24 * 60 * 60 * 1000);
+    }
+    return new Date(horizon);
+  }
+
+  // Build T+n P&L curves: today, each requested horizon, and the first leg expiry
+  // (the perpetual horizon for perpetual-only strategies).
+  // Legs still alive at a valuation date are repriced with Black-Scholes.
+  // now: the valuation time the horizons count from (see getValuationDate)
+  calculatePayoffCurves(strategy, priceRange, horizons = [], ivShift = 0, pricing = this.resolvePricing(0), now = new Date()) {
+    const firstExpiry = this.getFirstExpiry(strategy, now);
+
+    const valuationDates = [{ label: 'T+0', date: now }];
+    horizons.forEach(horizon => {
+      const date = this.resolveHorizonDate(horizon, now);
+      if (isNaN(date.getTime()) || date <= now || date >= firstExpiry) {
+        return;
+      }
+      const days = Math.round((date - now) / (1000 * 60 * 60 * 24) * 10) / 10;
+      valuationDates.push({ label: `T+${days}`, date });
+    });
+    valuationDates.push({ label: this.getLegExpiries(strategy).length > 0 ? 'Expiry' : 'Horizon', date: firstExpiry });
+
+    return valuationDates.map(({ label, date }) => ({
+      label,
+      evaluationDate: date.toISOString(),
+      ivShift,
+      data: priceRange.map(price => {
+        const payoff = this.calculateStrategyValueAt(strategy, price, date, ivShift, pricing);
+        return { price, payoff, payoffBTC: this.toBTC(payoff, price) };
+      })
+    }));
+  }
+
+  // Calculate strategy P&L in USD at a valuation date before (or at) expiry, net of
+  // premiums and fees (settlement fees for options expired by that date)
+  calculateStrategyValueAt(strategy, price, evaluationDate, ivShift = 0, pricing = this.resolvePricing(price)) {
+    let totalValue = 0;
+
+    strategy.legs.forEach(leg => {
+      const option = leg.option;
+      const action = leg.action === 'buy' ? 1 : -1;
+      const premium = this.getPremiumValue(leg, price);
+
+      let legValue = 0;
+      let settled = false;
+
+      if (option.contractType === 'futures') {
+        legValue = this.getFuturesValue(leg, price);
+      } else {
+        const optionType = option.contractType === 'call_option' ? 'call' : 'put';
+        const T = this.calculateTimeToExpiry(this.getSettlementDate(option), evaluationDate);
+        const sigma = Math.max(0.001, this.getLegVolatility(leg, price, T, { pricing }) + ivShift);
+        legValue = this.priceOption(price, option.strikePrice, T, sigma, optionType, pricing) - premium;
+        settled = T <= 0;
+      }
+
+      totalValue += legValue * leg.quantity * action - this.getLegCosts(leg, price, settled, strategy.feeSchedule) * leg.quantity;
+    });
+
+    return totalValue;
+  }
+
+  // Position delta, gamma, theta and vega of a strategy at a price and valuation date
+  calculateStrategyGreeksAt(strategy, price, evaluationDate, ivShift = 0, pricing = this.resolvePricing(price), units = 'annual') {
+    const totals = { delta: 0, gamma: 0, theta: 0, vega: 0 };
+
+    strategy.legs.forEach(leg => {
+      const option = leg.option;
+      const positionSize = leg.quantity * (leg.action === 'buy' ? 1 : -1);
+
+      if (option.contractType === 'futures') {
+        totals.delta += positionSize;
+        return;
+      }
+
+      const optionType = option.contractType === 'call_option' ? 'call' : 'put';
+      const T = this.calculateTimeToExpiry(this.getSettlementDate(option), evaluationDate);
+      const sigma = Math.max(0.001, this.getLegVolatility(leg, price, T, { pricing }) + ivShift);
+      const greeks = this.convertGreekUnits(
+        this.calculateOptionGreeks(price, option.strikePrice, T, sigma, optionType, pricing),
+        price,
+        units
+      );
+      Object.keys(totals).forEach(key => {
+        totals[key] += greeks[key] * positionSize;
+      });
+    });
+
+    return totals;
+  }
+
   // Calculate payoff range for charting
   calculatePayoffRange(strategy, currentPrice) {
-    const minStrike = Math.min(...strategy.legs.map(leg => leg.option.strikePrice));
-    const maxStrike = Math.max(...strategy.legs.map(leg => leg.option.strikePrice));
+    // Futures legs anchor the range at their entry price instead of a strike
+    const levels = strategy.legs.map(leg => (leg.option.contractType === 'futures'
+      ? parseFloat(leg.entryPrice !== undefined ? leg.entryPrice : leg.price) || currentPrice
+      : leg.option.strikePrice));
+    const minStrike = Math.min(...levels);
+    const maxStrike = Math.max(...levels);
     
     const range = Math.max(maxStrike - minStrike, currentPrice * 0.5);
     const start = Math.max(0, Math.min(minStrike, currentPrice) - range * 0.3);
@@ -228,7 +1520,8 @@ class OptionsCalculator {
     return points;
   }
 
-  // Calculate strategy payoff at a specific price
+  // Calculate strategy P&L in USD at expiry for a specific price, net of each
+  // leg's entry premium (see getPremiumValue) and fees (see getLegCosts)
   calculateStrategyPayoff(strategy, price) {
     let totalPayoff = 0;
 
@@ -237,69 +1530,211 @@ class OptionsCalculator {
       const quantity = leg.quantity;
       const action = leg.action === 'buy' ? 1 : -1;
       
+      const premium = this.getPremiumValue(leg, price);
       let legPayoff = 0;
       
       if (option.contractType === 'call_option') {
-        legPayoff = Math.max(0, price - option.strikePrice);
+        legPayoff = Math.max(0, price - option.strikePrice) - premium;
       } else if (option.contractType === 'put_option') {
-        legPayoff = Math.max(0, option.strikePrice - price);
+        legPayoff = Math.max(0, option.strikePrice - price) - premium;
       } else if (option.contractType === 'futures') {
-        legPayoff = price - option.strikePrice;
+        legPayoff = this.getFuturesValue(leg, price);
       }
       
-      totalPayoff += legPayoff * quantity * action;
+      totalPayoff += legPayoff * quantity * action - this.getLegCosts(leg, price, true, strategy.feeSchedule) * quantity;
     });
 
     return totalPayoff;
   }
 
-  // Find break-even points
-  findBreakEvenPoints(payoffData) {
-    const breakEvenPoints = [];
-    const epsilon = 1e-6;
+  // Prices where the expiry payoff changes slope: the option strikes, and where
+  // settlement fees switch between the notional rate and their cap
+  getPayoffKinks(strategy) {
+    const optionLegs = strategy.legs
+      .filter(leg => leg.option.contractType !== 'futures' && leg.option.strikePrice > 0);
+    const strikes = optionLegs.map(leg => leg.option.strikePrice);
+    const feeKinks = optionLegs.flatMap(leg => feeService.getSettlementFeeKinks(
+      leg.option.contractType === 'call_option' ? 'call' : 'put',
+      leg.option.strikePrice,
+      strategy.feeSchedule
+    ));
+    return [...new Set([...strikes, ...feeKinks])].sort((a, b) => a - b);
+  }
 
-    for (let i = 1; i < payoffData.length; i++) {
-      const prev = payoffData[i - 1];
-      const curr = payoffData[i];
-      
-      if ((prev.payoff <= 0 && curr.payoff >= 0) || 
-          (prev.payoff >= 0 && curr.payoff <= 0)) {
-        // Linear interpolation to find exact break-even point
-        const denom = Math.abs(prev.payoff) + Math.abs(curr.payoff);
-        if (denom < epsilon) {
-          continue;
-        }
-        const ratio = Math.abs(prev.payoff) / denom;
-        const breakEvenPrice = prev.price + ratio * (curr.price - prev.price);
-        const price = Math.round(breakEvenPrice * 100) / 100;
-
-        if (Number.isFinite(price)) {
-          // Deduplicate close points
-          const isDuplicate = breakEvenPoints.some(p => Math.abs(p - price) < 0.5);
-          if (!isDuplicate) {
-            breakEvenPoints.push(price);
-          }
-        }
+  // Exact break-evens and extremes of the expiry payoff. Every leg is linear in
+  // the underlying between kinks, so the payoff is fully described by its value
+  // at zero and at each kink plus the slope beyond the highest one. An
+  // extreme is 'unlimited' when that slope runs towards it; its price is null.
+  // Settlement fees keep creeping up at the notional rate past the last kink. That
+  // fee slope is left out when classifying the tail, so defined-risk structures
+  // stay defined, but kept when solving a tail break-even, which stays exact.
+  // Legs expiring on different dates are valued at the first expiry instead
+  // (see analyzeFirstExpiryValue); valuation tells which analysis ran.
+  analyzeExpiryPayoff(strategy, pricing = this.resolvePricing(0)) {
+    if (this.hasMultipleExpiries(strategy)) {
+      return this.analyzeFirstExpiryValue(strategy, pricing);
+    }
+
+    const epsilon = 1e-8;
+    const nodes = [0, ...this.getPayoffKinks(strategy)]
+      .map(price => ({ price, payoff: this.calculateStrategyPayoff(strategy, price) }));
+    const last = nodes[nodes.length - 1];
+    const step = Math.max(1, last.price);
+    const tailSlope = (target) => (this.calculateStrategyPayoff(target, last.price + step) - this.calculateStrategyPayoff(target, last.price)) / step;
+    const slopeAbove = tailSlope({ ...strategy, feeSchedule: null });
+    const slopeAboveWithFees = tailSlope(strategy);
+
+    const breakEvenPoints = [];
+    const addBreakEven = price => {
+      if (price > 0 && !breakEvenPoints.some(p => Math.abs(p - price) < epsilon * Math.max(1, price))) {
+        breakEvenPoints.push(price);
+      }
+    };
+    for (let i = 1; i < nodes.length; i++) {
+      const prev = nodes[i - 1];
+      const curr = nodes[i];
+      if (Math.abs(curr.payoff) < epsilon) {
+        addBreakEven(curr.price);
+      } else if (prev.payoff * curr.payoff < 0) {
+        addBreakEven(prev.price - prev.payoff * (curr.price - prev.price) / (curr.payoff - prev.payoff));
       }
     }
-    
-    return breakEvenPoints;
+    // A tail that only slopes because of fees gets no break-even (it would sit absurdly far out)
+    if (Math.abs(slopeAbove) > epsilon && last.payoff * slopeAbove < 0 && last.payoff * slopeAboveWithFees < 0) {
+      addBreakEven(last.price - last.payoff / slopeAboveWithFees);
+    }
+
+    // Ties go to the higher price, so flat extremes report the strike rather than zero
+    const best = nodes.reduce((acc, node) => (node.payoff >= acc.payoff - epsilon ? node : acc));
+    const worst = nodes.reduce((acc, node) => (node.payoff <= acc.payoff + epsilon ? node : acc));
+    const profitUnlimited = slopeAbove > epsilon;
+    const lossUnlimited = slopeAbove < -epsilon;
+
+    // In BTC the payoff is payoff / price, which is monotonic between strikes:
+    // extremes sit on a strike, at the limit beyond the last strike (the slope),
+    // or are unlimited near zero when the payoff at zero is not zero
+    const btcCandidates = nodes
+      .filter(node => node.price > 0)
+      .map(node => ({ price: node.price, payoff: node.payoff / node.price }))
+      .concat([{ price: null, payoff: slopeAbove }]);
+    const atZero = nodes[0].payoff;
+    const bestBTC = btcCandidates.reduce((acc, node) => (node.payoff > acc.payoff ? node : acc));
+    const worstBTC = btcCandidates.reduce((acc, node) => (node.payoff < acc.payoff ? node : acc));
+
+    return {
+      breakEvenPoints: breakEvenPoints.sort((a, b) => a - b),
+      maxProfit: profitUnlimited ? 'unlimited' : best.payoff,
+      maxProfitPrice: profitUnlimited ? null : best.price,
+      maxLoss: lossUnlimited ? 'unlimited' : worst.payoff,
+      maxLossPrice: lossUnlimited ? null : worst.price,
+      maxProfitBTC: atZero > epsilon ? 'unlimited' : bestBTC.payoff,
+      maxLossBTC: atZero < -epsilon ? 'unlimited' : worstBTC.payoff,
+      slopeAboveHighestStrike: slopeAbove,
+      valuation: 'expiry'
+    };
   }
 
-  // Calculate margin requirements (simplified)
-  calculateMarginRequirement(strategy) {
-    let totalMargin = 0;
-    
-    strategy.legs.forEach(leg => {
-      if (leg.action === 'sell') {
-        // Simplified margin calculation
-        const option = leg.option;
-        const margin = option.strikePrice * leg.quantity * 0.1; // 10% of strike
-        totalMargin += margin;
+  // Break-evens and extremes at the first expiry of a strategy whose legs expire
+  // on different dates: expired legs settle at intrinsic value, later ones keep
+  // their model value (leg.volatility, see calculateStrategyValueAt). That value
+  // is not linear between strikes, so it is scanned on a grid and refined with
+  // Brent's method (break-evens) and golden-section search (extremes). Beyond the
+  // scan every later leg trades close to intrinsic, so the tail is classified by
+  // the expiry payoff slope as in analyzeExpiryPayoff. Extremes are model values
+  // at the legs' current IV, not hard bounds.
+  analyzeFirstExpiryValue(strategy, pricing) {
+    const epsilon = 1e-8;
+    const expiry = this.getFirstExpiry(strategy);
+    const kinks = this.getPayoffKinks(strategy);
+    const highest = Math.max(1, ...kinks);
+    const value = price => this.calculateStrategyValueAt(strategy, price, expiry, 0, pricing);
+
+    // Dense to twice the highest kink, sparse from there to ten times it
+    const scan = [highest * 1e-6, ...kinks];
+    for (let i = 1; i <= 400; i++) {
+      scan.push(2 * highest * i / 400);
+    }
+    for (let i = 1; i <= 40; i++) {
+      scan.push(2 * highest + 8 * highest * i / 40);
+    }
+    const nodes = [...new Set(scan)]
+      .sort((a, b) => a - b)
+      .map(price => ({ price, payoff: value(price) }));
+    const last = nodes[nodes.length - 1];
+
+    const tailStep = Math.max(1, last.price);
+    const withoutFees = { ...strategy, feeSchedule: null };
+    const expirySlope = (this.calculateStrategyPayoff(withoutFees, last.price + tailStep) - this.calculateStrategyPayoff(withoutFees, last.price)) / tailStep;
+    const slopeWithFees = (value(last.price + tailStep) - last.payoff) / tailStep;
+
+    const breakEvenPoints = [];
+    const addBreakEven = price => {
+      if (price > 0 && !breakEvenPoints.some(p => Math.abs(p - price) < 1e-6 * Math.max(1, price))) {
+        breakEvenPoints.push(price);
       }
-    });
-    
-    return totalMargin;
+    };
+    for (let i = 1; i < nodes.length; i++) {
+      const prev = nodes[i - 1];
+      const curr = nodes[i];
+      if (Math.abs(curr.payoff) < epsilon) {
+        addBreakEven(curr.price);
+      } else if (prev.payoff * curr.payoff < 0) {
+        const { root } = this.brentSolve(value, prev.price, curr.price, 1e-6);
+        addBreakEven(root !== null ? root : (prev.price + curr.price) / 2);
+      }
+    }
+    if (Math.abs(expirySlope) > epsilon && last.payoff * expirySlope < 0 && last.payoff * slopeWithFees < 0) {
+      const estimate = last.price - last.payoff / slopeWithFees;
+      const { root } = this.brentSolve(value, last.price, last.price + 2 * (estimate - last.price), 1e-6);
+      addBreakEven(root !== null ? root : estimate);
+    }
+
+    // Refine the best and worst scanned nodes between their neighbours
+    const refine = (index, sign) => {
+      const lower = nodes[Math.max(0, index - 1)].price;
+      const upper = nodes[Math.min(nodes.length - 1, index + 1)].price;
+      const ratio = (Math.sqrt(5) - 1) / 2;
+      let a = lower;
+      let b = upper;
+      for (let i = 0; i < 60 && b - a > 1e-6; i++) {
+        const c = b - ratio * (b - a);
+        const d = a + ratio * (b - a);
+        if (sign * value(c) > sign * value(d)) {
+          b = d;
+        } else {
+          a = c;
+        }
+      }
+      const price = (a + b) / 2;
+      const payoff = value(price);
+      return sign * payoff > sign * nodes[index].payoff ? { price, payoff } : nodes[index];
+    };
+    const bestIndex = nodes.reduce((acc, node, index) => (node.payoff >= nodes[acc].payoff - epsilon ? index : acc), 0);
+    const worstIndex = nodes.reduce((acc, node, index) => (node.payoff <= nodes[acc].payoff + epsilon ? index : acc), 0);
+    const best = refine(bestIndex, 1);
+    const worst = refine(worstIndex, -1);
+    const profitUnlimited = expirySlope > epsilon;
+    const lossUnlimited = expirySlope < -epsilon;
+
+    const btcCandidates = nodes
+      .map(node => ({ price: node.price, payoff: node.payoff / node.price }))
+      .concat([{ price: null, payoff: expirySlope }]);
+    const atZero = nodes[0].payoff;
+    const bestBTC = btcCandidates.reduce((acc, node) => (node.payoff > acc.payoff ? node : acc));
+    const worstBTC = btcCandidates.reduce((acc, node) => (node.payoff < acc.payoff ? node : acc));
+
+    return {
+      breakEvenPoints: breakEvenPoints.sort((a, b) => a - b),
+      maxProfit: profitUnlimited ? 'unlimited' : best.payoff,
+      maxProfitPrice: profitUnlimited ? null : best.price,
+      maxLoss: lossUnlimited ? 'unlimited' : worst.payoff,
+      maxLossPrice: lossUnlimited ? null : worst.price,
+      maxProfitBTC: atZero > epsilon ? 'unlimited' : bestBTC.payoff,
+      maxLossBTC: atZero < -epsilon ? 'unlimited' : worstBTC.payoff,
+      slopeAboveHighestStrike: expirySlope,
+      valuation: 'first-expiry',
+      valuationDate: expiry.toISOString()
+    };
   }
 }
 
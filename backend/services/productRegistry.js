@@ -0,0 +1,210 @@
+const optionsCalculator = require('./optionsCalculator');
+const sviModel = require('./sviModel');
+
+const MONTHS = {
+  JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06',
+  JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12'
+};
+
+// Parses Delta Exchange symbols and indexes products and their tickers by
+// product id, so callers look contracts up instead of matching symbol strings.
+class ProductRegistry {
+  constructor() {
+    this.products = new Map(); // product id -> product (with parsed symbol fields)
+    this.symbolIndex = new Map(); // exact symbol -> product id
+    this.tickers = new Map(); // product id -> latest ticker
+  }
+
+  // Parse a Delta symbol into structured fields, or null when it is not an
+  // option or future. Handles options (C-BTC-65000-251018), perpetuals
+  // (BTC-PERP, BTCUSD, BTCUSDT) and dated futures (BTC-251227, BTCUSD_27Dec24).
+  // expiry is YYMMDD; expiryDate is YYYY-MM-DD.
+  parseSymbol(symbol) {
+    if (typeof symbol !== 'string') {
+      return null;
+    }
+    const value = symbol.trim().toUpperCase();
+
+    let match = value.match(/^([CP])-([A-Z0-9]+)-(\d+(?:\.\d+)?)-(\d{6})$/);
+    if (match) {
+      return {
+        symbol,
+        kind: 'option',
+        contractType: match[1] === 'C' ? 'call_option' : 'put_option',
+        optionType: match[1] === 'C' ? 'call' : 'put',
+        underlying: match[2],
+        strike: parseFloat(match[3]),
+        expiry: match[4],
+        expiryDate: this.formatExpiryDate(match[4])
+      };
+    }
+
+    match = value.match(/^([A-Z0-9]+?)(?:USDT|USD)?-?PERP$/) || value.match(/^([A-Z0-9]+?)(?:USDT|USD)$/);
+    if (match) {
+      return this.buildFuture(symbol, 'perpetual', match[1], null);
+    }
+
+    match = value.match(/^([A-Z0-9]+?)(?:USDT|USD)?[-_](\d{6}|\d{2}[A-Z]{3}\d{2})$/);
+    if (match) {
+      const expiry = this.normalizeExpiry(match[2]);
+      return expiry ? this.buildFuture(symbol, 'future', match[1], expiry) : null;
+    }
+
+    return null;
+  }
+
+  // Parsed fields of a perpetual or dated future
+  buildFuture(symbol, kind, underlying, expiry) {
+    return {
+      symbol,
+      kind,
+      contractType: 'futures',
+      optionType: null,
+      underlying,
+      strike: null,
+      expiry,
+      expiryDate: expiry ? this.formatExpiryDate(expiry) : null
+    };
+  }
+
+  // YYMMDD from YYMMDD or DDMonYY; null for unknown months
+  normalizeExpiry(expiry) {
+    if (/^\d{6}$/.test(expiry)) {
+      return expiry;
+    }
+    const month = MONTHS[expiry.slice(2, 5)];
+    return month ? `${expiry.slice(5)}${month}${expiry.slice(0, 2)}` : null;
+  }
+
+  // YYYY-MM-DD from YYMMDD
+  formatExpiryDate(expiry) {
+    return `20${expiry.slice(0, 2)}-${expiry.slice(2, 4)}-${expiry.slice(4, 6)}`;
+  }
+
+  // Replace the registered products; returns them with parsed symbol fields
+  setProducts(products) {
+    this.products = new Map();
+    this.symbolIndex = new Map();
+    return products.map(product => {
+      const registered = { ...product, parsed: this.parseSymbol(product.symbol) };
+      this.products.set(String(product.id), registered);
+      this.symbolIndex.set(product.symbol, String(product.id));
+      return registered;
+    });
+  }
+
+  // Registered product by id (null if unknown)
+  getProduct(productId) {
+    return this.products.get(String(productId)) || null;
+  }
+
+  // Registered product with exactly this symbol (null if unknown)
+  getProductBySymbol(symbol) {
+    const productId = this.symbolIndex.get(symbol);
+    return productId !== undefined ? this.products.get(productId) : null;
+  }
+
+  // Product id of a ticker: its product_id, else the product registered under its symbol
+  resolveTickerProductId(ticker) {
+    if (ticker.product_id !== undefined && ticker.product_id !== null && ticker.product_id !== '') {
+      return String(ticker.product_id);
+    }
+    return this.symbolIndex.get(ticker.symbol) || null;
+  }
+
+  // Store the latest ticker for its product; returns the product id (null if unresolved)
+  updateTicker(ticker) {
+    const productId = this.resolveTickerProductId(ticker);
+    if (productId !== null) {
+      this.tickers.set(productId, ticker);
+    }
+    return productId;
+  }
+
+  // Replace all tickers
+  setTickers(tickers) {
+    this.tickers = new Map();
+    tickers.forEach(ticker => this.updateTicker(ticker));
+  }
+
+  // Latest ticker of a product (null if none)
+  getTicker(productId) {
+    return this.tickers.get(String(productId)) || null;
+  }
+
+  // Unexpired option expiries of the registered products, soonest first, with
+  // strike counts, open interest and volume summed over their tickers, and the
+  // ATM strike and IV. surface: a volSurfaceService surface; ATM IV comes from
+  // its slice for the expiry, else its SVI fit, else null.
+  getExpirations(underlyingPrice, surface = null) {
+    const now = new Date();
+    const groups = new Map();
+
+    this.products.forEach(product => {
+      const parsed = product.parsed;
+      if (!parsed || parsed.kind !== 'option') {
+        return;
+      }
+      const settlementDate = optionsCalculator.getSettlementDate(product) || optionsCalculator.parseExpiryDate(parsed.expiry);
+      if (!settlementDate || settlementDate <= now) {
+        return;
+      }
+
+      if (!groups.has(parsed.expiry)) {
+        groups.set(parsed.expiry, {
+          expiry: parsed.expiry,
+          expiryDate: parsed.expiryDate,
+          settlementDate,
+          strikes: new Set(),
+          callCount: 0,
+          putCount: 0,
+          openInterest: 0,
+          volume: 0
+        });
+      }
+      const group = groups.get(parsed.expiry);
+      group.strikes.add(parsed.strike);
+      group[parsed.optionType === 'call' ? 'callCount' : 'putCount']++;
+
+      const ticker = this.getTicker(product.id);
+      if (ticker) {
+        group.openInterest += parseFloat(ticker.oi || ticker.open_interest) || 0;
+        group.volume += parseFloat(ticker.volume || ticker.volume_24h) || 0;
+      }
+    });
+
+    const slices = new Map(((surface && surface.expiries) || []).map(slice => [slice.expiry, slice]));
+
+    return [...groups.values()]
+      .sort((a, b) => a.settlementDate - b.settlementDate)
+      .map(group => {
+        const strikes = [...group.strikes].sort((a, b) => a - b);
+        const minutesToExpiry = optionsCalculator.calculateMinutesToExpiry(group.settlementDate, now);
+        const T = minutesToExpiry / optionsCalculator.minutesPerYear;
+        const slice = slices.get(group.expiry);
+        const reference = slice ? slice.forward : underlyingPrice;
+        const atmStrike = strikes.reduce((best, strike) =>
+          (Math.abs(strike - reference) < Math.abs(best - reference) ? strike : best));
+        const atmIv = slice && slice.atmIv !== null
+          ? slice.atmIv
+          : sviModel.getVolatility(surface && surface.fit, atmStrike, T, reference);
+
+        return {
+          expiry: group.expiry,
+          expiryDate: group.expiryDate,
+          settlementTime: group.settlementDate.toISOString(),
+          timeToExpiry: T,
+          dte: minutesToExpiry / (24 * 60),
+          strikeCount: strikes.length,
+          callCount: group.callCount,
+          putCount: group.putCount,
+          atmStrike,
+          atmIv,
+          openInterest: group.openInterest,
+          volume: group.volume
+        };
+      });
+  }
+}
+
+module.exports = new ProductRegistry();
@@ -0,0 +1,238 @@
+const fs = require('fs').promises;
+const path = require('path');
+const optionsCalculator = require('./optionsCalculator');
+const config = require('../config');
+
+// Named shocks applied to the pricing underlying. spotShock is a relative move,
+// volShift an absolute change in every leg's IV, daysForward the time elapsed.
+// Historical shocks are approximate peak-to-trough BTC moves and IV changes.
+const BUILT_IN_SCENARIOS = [
+  {
+    id: 'march-2020-crash',
+    name: 'March 2020 crash',
+    description: 'Black Thursday: BTC roughly halved in two days while implied vol more than doubled',
+    spotShock: -0.50,
+    volShift: 0.80,
+    daysForward: 2
+  },
+  {
+    id: 'china-ban-may-2021',
+    name: 'May 2021 China ban sell-off',
+    description: 'Intraday -30% on mining and exchange ban headlines with a sharp vol spike',
+    spotShock: -0.30,
+    volShift: 0.60,
+    daysForward: 1
+  },
+  {
+    id: 'luna-collapse',
+    name: 'LUNA/UST collapse week',
+    description: 'May 2022 stablecoin unwind: a grinding -35% from about $40k to $26k over a week with vol up 25 points',
+    spotShock: -0.35,
+    volShift: 0.25,
+    daysForward: 7
+  },
+  {
+    id: 'ftx-collapse',
+    name: 'FTX collapse',
+    description: 'November 2022 exchange failure: -25% from about $21k to $16k in three days as vol jumped 40 points off its lows',
+    spotShock: -0.25,
+    volShift: 0.40,
+    daysForward: 3
+  },
+  {
+    id: 'squeeze-iv-crush',
+    name: '+15% squeeze with IV crush',
+    description: 'Short squeeze that lifts spot 15% while implied vol drops 15 points',
+    spotShock: 0.15,
+    volShift: -0.15,
+    daysForward: 1
+  },
+  {
+    id: 'gap-down',
+    name: '-10% gap with vol bid',
+    description: 'Instant 10% gap lower with implied vol up 20 points',
+    spotShock: -0.10,
+    volShift: 0.20,
+    daysForward: 0
+  },
+  {
+    id: 'quiet-week',
+    name: 'Quiet week vol crush',
+    description: 'Spot unchanged for a week while implied vol bleeds 20 points',
+    spotShock: 0,
+    volShift: -0.20,
+    daysForward: 7
+  }
+].map(scenario => ({ ...scenario, builtIn: true }));
+
+class StressTestService {
+  constructor() {
+    this.scenariosFile = path.join(config.storage.dataDir, 'stressScenarios.json');
+    this.customScenarios = null; // Loaded lazily from scenariosFile
+  }
+
+  // Load saved custom scenarios once (missing file means none saved yet)
+  async loadCustomScenarios() {
+    if (this.customScenarios) {
+      return this.customScenarios;
+    }
+    try {
+      const contents = await fs.readFile(this.scenariosFile, 'utf8');
+      const parsed = JSON.parse(contents);
+      this.customScenarios = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading stress scenarios:', error.message);
+      }
+      this.customScenarios = [];
+    }
+    return this.customScenarios;
+  }
+
+  // Persist custom scenarios
+  async saveCustomScenarios() {
+    await fs.mkdir(path.dirname(this.scenariosFile), { recursive: true });
+    await fs.writeFile(this.scenariosFile, JSON.stringify(this.customScenarios, null, 2));
+  }
+
+  // Built-in followed by custom scenarios
+  async getScenarios() {
+    const custom = await this.loadCustomScenarios();
+    return [...BUILT_IN_SCENARIOS, ...custom];
+  }
+
+  // Requested scenario ids that match no built-in or saved scenario
+  async findUnknownScenarioIds(scenarioIds = []) {
+    const known = new Set((await this.getScenarios()).map(scenario => scenario.id));
+    return scenarioIds.filter(id => !known.has(id));
+  }
+
+  // Validate a scenario definition; returns an error message or null
+  validateScenario(scenario) {
+    if (!scenario || typeof scenario.name !== 'string' || scenario.name.trim() === '') {
+      return 'Scenario name is required';
+    }
+    const spotShock = parseFloat(scenario.spotShock);
+    if (!Number.isFinite(spotShock) || spotShock <= -1) {
+      return 'spotShock must be a relative move greater than -1';
+    }
+    if (scenario.volShift !== undefined && !Number.isFinite(parseFloat(scenario.volShift))) {
+      return 'volShift must be a number';
+    }
+    const daysForward = scenario.daysForward !== undefined ? parseFloat(scenario.daysForward) : 0;
+    if (!Number.isFinite(daysForward) || daysForward < 0) {
+      return 'daysForward must be zero or more';
+    }
+    return null;
+  }
+
+  // Normalise a validated scenario definition
+  normalizeScenario(scenario) {
+    return {
+      name: scenario.name.trim(),
+      description: scenario.description || '',
+      spotShock: parseFloat(scenario.spotShock),
+      volShift: parseFloat(scenario.volShift) || 0,
+      daysForward: parseFloat(scenario.daysForward) || 0
+    };
+  }
+
+  // Save a custom scenario and return it with its generated id
+  async addScenario(scenario) {
+    const custom = await this.loadCustomScenarios();
+    const slug = scenario.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const saved = {
+      id: `custom-${slug || 'scenario'}-${Date.now()}`,
+      ...this.normalizeScenario(scenario),
+      builtIn: false,
+      createdAt: new Date().toISOString()
+    };
+    custom.push(saved);
+    await this.saveCustomScenarios();
+    return saved;
+  }
+
+  // Delete a custom scenario; returns false when no custom scenario has that id
+  async deleteScenario(id) {
+    const custom = await this.loadCustomScenarios();
+    const index = custom.findIndex(scenario => scenario.id === id);
+    if (index === -1) {
+      return false;
+    }
+    custom.splice(index, 1);
+    await this.saveCustomScenarios();
+    return true;
+  }
+
+  // Apply scenarios to a portfolio of strategies (a single strategy is a portfolio of one).
+  // scenarioIds: stored scenarios to run (default all); adhocScenarios: unsaved definitions.
+  // Losses are measured against the portfolio's model value at options.asOf (default now).
+  async runStressTests(strategies, currentPrice, { scenarioIds, adhocScenarios = [], ...options } = {}) {
+    const pricing = optionsCalculator.resolvePricing(currentPrice, options);
+    const underlyingPrice = pricing.referencePrice;
+    const now = optionsCalculator.getValuationDate(options);
+    const pricedOptions = { ...options, pricing, asOf: now };
+    const valued = strategies.map(strategy =>
+      optionsCalculator.prepareStrategyLegs(strategy, underlyingPrice, pricedOptions)
+    );
+
+    const stored = await this.getScenarios();
+    const selected = Array.isArray(scenarioIds) && scenarioIds.length > 0
+      ? stored.filter(scenario => scenarioIds.includes(scenario.id))
+      : stored;
+    const scenarios = [
+      ...selected,
+      ...adhocScenarios.map((scenario, index) => ({
+        id: `adhoc-${index + 1}`,
+        ...this.normalizeScenario(scenario),
+        builtIn: false
+      }))
+    ];
+
+    const baseValues = valued.map(strategy =>
+      optionsCalculator.calculateStrategyValueAt(strategy, underlyingPrice, now, 0, pricing)
+    );
+    const baseValue = baseValues.reduce((sum, value) => sum + value, 0);
+
+    const results = scenarios.map(scenario => {
+      const price = underlyingPrice * (1 + scenario.spotShock);
+      const date = new Date(now.getTime() + scenario.daysForward * 24 * 60 * 60 * 1000);
+      const strategyResults = valued.map((strategy, index) => {
+        const pnl = optionsCalculator.calculateStrategyValueAt(strategy, price, date, scenario.volShift, pricing);
+        return {
+          name: strategy.name || `Strategy ${index + 1}`,
+          pnl,
+          change: pnl - baseValues[index]
+        };
+      });
+      const pnl = strategyResults.reduce((sum, result) => sum + result.pnl, 0);
+      const change = pnl - baseValue;
+      const combined = { legs: valued.flatMap(strategy => strategy.legs) };
+
+      return {
+        scenario,
+        shockedPrice: price,
+        evaluationDate: date.toISOString(),
+        pnl,
+        change,
+        changeBTC: optionsCalculator.toBTC(change, price),
+        loss: Math.max(0, -change),
+        delta: optionsCalculator.calculateStrategyGreeksAt(combined, price, date, scenario.volShift, pricing).delta,
+        strategies: strategyResults
+      };
+    });
+
+    const worst = results.reduce((acc, result) => (!acc || result.change < acc.change ? result : acc), null);
+
+    return {
+      timestamp: now.toISOString(),
+      underlyingPrice,
+      pricing,
+      baseValue,
+      results,
+      worstScenario: worst ? { id: worst.scenario.id, name: worst.scenario.name, change: worst.change } : null
+    };
+  }
+}
+
+module.exports = new StressTestService();
@@ -0,0 +1,302 @@
+// Raw SVI parameterisation of the implied total variance smile:
+//   w(k) = a + b * (rho * (k - m) + sqrt((k - m)^2 + sigma^2)),  w = iv^2 * T
+// calibrated per expiry with the quasi-explicit method (linear least squares in
+// a, b, rho for fixed m, sigma; Nelder-Mead over m, sigma).
+class SviModel {
+  constructor() {
+    this.minPoints = 3; // Below this a slice is flat at its mean IV
+    this.checkGrid = { min: -1.5, max: 1.5, steps: 61 }; // Log-moneyness grid for arbitrage checks
+  }
+
+  // Total implied variance at log-moneyness k
+  totalVariance(params, k) {
+    const x = k - params.m;
+    return params.a + params.b * (params.rho * x + Math.sqrt(x * x + params.sigma * params.sigma));
+  }
+
+  // Implied volatility at log-moneyness k for time to expiry T
+  impliedVolatility(params, k, T) {
+    const w = this.totalVariance(params, k);
+    return w > 0 && T > 0 ? Math.sqrt(w / T) : null;
+  }
+
+  // Solve a 3x3 linear system with Cramer's rule
+  solve3(A, y) {
+    const det = M =>
+      M[0][0] * (M[1][1] * M[2][2] - M[1][2] * M[2][1]) -
+      M[0][1] * (M[1][0] * M[2][2] - M[1][2] * M[2][0]) +
+      M[0][2] * (M[1][0] * M[2][1] - M[1][1] * M[2][0]);
+    const D = det(A);
+    if (Math.abs(D) < 1e-14) {
+      return null;
+    }
+    return [0, 1, 2].map(col => det(A.map((row, i) => row.map((value, j) => (j === col ? y[i] : value)))) / D);
+  }
+
+  // Best (a, b, rho) for fixed (m, sigma); returns params and squared error
+  fitInner(points, m, sigma) {
+    const rows = points.map(p => {
+      const x = p.k - m;
+      return { x, r: Math.sqrt(x * x + sigma * sigma), w: p.w };
+    });
+
+    // Normal equations for w = a + p*x + q*r
+    const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const y = [0, 0, 0];
+    rows.forEach(({ x, r, w }) => {
+      const basis = [1, x, r];
+      basis.forEach((bi, i) => {
+        y[i] += bi * w;
+        basis.forEach((bj, j) => { A[i][j] += bi * bj; });
+      });
+    });
+
+    const solution = this.solve3(A, y) || [rows.reduce((sum, row) => sum + row.w, 0) / rows.length, 0, 0];
+    let [a, p, q] = solution;
+
+    // Enforce b >= 0 and |rho| < 1, then refit the level a
+    const b = Math.max(0, q);
+    const rho = b > 0 ? Math.max(-0.999, Math.min(0.999, p / b)) : 0;
+    a = rows.reduce((sum, row) => sum + row.w - b * (rho * row.x + row.r), 0) / rows.length;
+
+    // Keep the minimum total variance non-negative
+    const minVariance = a + b * sigma * Math.sqrt(1 - rho * rho);
+    if (minVariance < 0) {
+      a -= minVariance;
+    }
+
+    const params = { a, b, rho, m, sigma };
+    const error = rows.reduce((sum, row, i) => {
+      const diff = this.totalVariance(params, points[i].k) - row.w;
+      return sum + diff * diff;
+    }, 0);
+
+    return { params, error };
+  }
+
+  // Minimise f over R^n with the Nelder-Mead simplex
+  nelderMead(f, start, step = 0.1, maxIterations = 300, tolerance = 1e-12) {
+    let simplex = [start, ...start.map((_, i) => start.map((v, j) => (i === j ? v + step : v)))]
+      .map(x => ({ x, f: f(x) }));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      simplex.sort((p, q) => p.f - q.f);
+      if (Math.abs(simplex[simplex.length - 1].f - simplex[0].f) < tolerance) {
+        break;
+      }
+
+      const worst = simplex[simplex.length - 1];
+      const centroid = start.map((_, j) =>
+        simplex.slice(0, -1).reduce((sum, p) => sum + p.x[j], 0) / (simplex.length - 1)
+      );
+      const along = t => centroid.map((c, j) => c + t * (worst.x[j] - c));
+
+      const reflected = { x: along(-1) };
+      reflected.f = f(reflected.x);
+
+      if (reflected.f < simplex[0].f) {
+        const expanded = { x: along(-2) };
+        expanded.f = f(expanded.x);
+        simplex[simplex.length - 1] = expanded.f < reflected.f ? expanded : reflected;
+      } else if (reflected.f < simplex[simplex.length - 2].f) {
+        simplex[simplex.length - 1] = reflected;
+      } else {
+        const contracted = { x: along(0.5) };
+        contracted.f = f(contracted.x);
+        if (contracted.f < worst.f) {
+          simplex[simplex.length - 1] = contracted;
+        } else {
+          const best = simplex[0];
+          simplex = simplex.map(p => {
+            const x = p.x.map((v, j) => best.x[j] + 0.5 * (v - best.x[j]));
+            return { x, f: f(x) };
+          });
+        }
+      }
+    }
+
+    simplex.sort((p, q) => p.f - q.f);
+    return simplex[0];
+  }
+
+  // Calibrate one expiry. points: [{ k, iv }] (log-moneyness, implied vol)
+  fitSlice(points, T) {
+    const valid = points
+      .filter(p => Number.isFinite(p.k) && p.iv > 0)
+      .map(p => ({ ...p, w: p.iv * p.iv * T }));
+
+    if (valid.length === 0) {
+      return null;
+    }
+
+    let params;
+    if (valid.length < this.minPoints) {
+      const meanVariance = valid.reduce((sum, p) => sum + p.w, 0) / valid.length;
+      params = { a: meanVariance, b: 0, rho: 0, m: 0, sigma: 0.1 };
+    } else {
+      const ks = valid.map(p => p.k);
+      const kMin = Math.min(...ks);
+      const kMax = Math.max(...ks);
+      const objective = ([m, logSigma]) => this.fitInner(valid, m, Math.exp(logSigma)).error;
+
+      // Coarse grid for a starting point, then refine
+      let start = [0, Math.log(0.1)];
+      let startError = Infinity;
+      for (let i = 0; i <= 6; i++) {
+        const m = kMin + (kMax - kMin) * i / 6;
+        [0.01, 0.05, 0.1, 0.3, 1].forEach(sigma => {
+          const error = objective([m, Math.log(sigma)]);
+          if (error < startError) {
+            startError = error;
+            start = [m, Math.log(sigma)];
+          }
+        });
+      }
+
+      const best = this.nelderMead(objective, start);
+      params = this.fitInner(valid, best.x[0], Math.exp(best.x[1])).params;
+    }
+
+    const residuals = valid.map(p => {
+      const fittedIv = this.impliedVolatility(params, p.k, T);
+      return {
+        strike: p.strike,
+        k: p.k,
+        marketIv: p.iv,
+        fittedIv,
+        residual: fittedIv !== null ? fittedIv - p.iv : null
+      };
+    });
+    const squared = residuals.filter(r => r.residual !== null).map(r => r.residual * r.residual);
+    const rmse = squared.length > 0 ? Math.sqrt(squared.reduce((sum, v) => sum + v, 0) / squared.length) : null;
+
+    return {
+      params,
+      timeToExpiry: T,
+      pointCount: valid.length,
+      rmse,
+      residuals,
+      butterfly: this.checkButterfly(params, T)
+    };
+  }
+
+  // Log-moneyness points used for the arbitrage checks
+  getCheckGrid() {
+    const { min, max, steps } = this.checkGrid;
+    return Array.from({ length: steps }, (_, i) => min + (max - min) * i / (steps - 1));
+  }
+
+  // Butterfly arbitrage: Gatheral's density condition g(k) >= 0, plus the
+  // Rogers-Tehranchi wing bound b(1 + |rho|) <= 4 on the total variance slope
+  checkButterfly(params, T) {
+    const { a, b, rho, m, sigma } = params;
+    const violations = [];
+    let minG = Infinity;
+
+    this.getCheckGrid().forEach(k => {
+      const x = k - m;
+      const root = Math.sqrt(x * x + sigma * sigma);
+      const w = a + b * (rho * x + root);
+      const w1 = b * (rho + x / root);
+      const w2 = b * sigma * sigma / (root * root * root);
+      const g = w > 0
+        ? Math.pow(1 - k * w1 / (2 * w), 2) - (w1 * w1 / 4) * (1 / w + 0.25) + w2 / 2
+        : -Infinity;
+      minG = Math.min(minG, g);
+      if (g < 0) {
+        violations.push(k);
+      }
+    });
+
+    const wingSlope = b * (1 + Math.abs(rho));
+    return {
+      arbitrageFree: violations.length === 0 && wingSlope <= 4,
+      minG,
+      wingSlope,
+      violations
+    };
+  }
+
+  // Calendar arbitrage: total variance must not decrease with expiry at any k
+  checkCalendar(slices) {
+    const checks = [];
+    for (let i = 1; i < slices.length; i++) {
+      const near = slices[i - 1];
+      const far = slices[i];
+      const violations = this.getCheckGrid().filter(k =>
+        this.totalVariance(far.fit.params, k) < this.totalVariance(near.fit.params, k) - 1e-10
+      );
+      checks.push({
+        nearExpiry: near.expiry,
+        farExpiry: far.expiry,
+        arbitrageFree: violations.length === 0,
+        violations
+      });
+    }
+    return checks;
+  }
+
+  // Fit every expiry of a surface built by volSurfaceService.buildSurface
+  fitSurface(surface) {
+    const slices = surface.expiries
+      .map(slice => {
+        const points = slice.points
+          .map(point => {
+            const side = point.logMoneyness >= 0 ? point.call : point.put;
+            return { strike: point.strike, k: point.logMoneyness, iv: side ? side.markIv : null };
+          })
+          .filter(point => point.iv !== null);
+        return {
+          expiry: slice.expiry,
+          settlementTime: slice.settlementTime,
+          forward: slice.forward,
+          fit: this.fitSlice(points, slice.timeToExpiry)
+        };
+      })
+      .filter(slice => slice.fit !== null);
+
+    const calendar = this.checkCalendar(slices);
+
+    return {
+      model: 'svi',
+      timestamp: surface.timestamp,
+      pricing: surface.pricing,
+      slices,
+      calendar,
+      arbitrageFree: slices.every(slice => slice.fit.butterfly.arbitrageFree) &&
+                     calendar.every(check => check.arbitrageFree)
+    };
+  }
+
+  // Implied volatility for any strike/time from a fitted surface. Total variance
+  // is interpolated linearly in T between slices, scaled with T before the first
+  // slice and held at constant volatility beyond the last. F is the forward for T.
+  getVolatility(fitted, K, T, F) {
+    if (!fitted || fitted.slices.length === 0 || !(K > 0) || !(F > 0) || T <= 0) {
+      return null;
+    }
+
+    const k = Math.log(K / F);
+    const slices = fitted.slices;
+    const variance = slice => this.totalVariance(slice.fit.params, k);
+    const sliceT = slice => slice.fit.timeToExpiry;
+
+    let w;
+    if (T <= sliceT(slices[0])) {
+      w = variance(slices[0]) * T / sliceT(slices[0]);
+    } else if (T >= sliceT(slices[slices.length - 1])) {
+      const last = slices[slices.length - 1];
+      w = variance(last) * T / sliceT(last);
+    } else {
+      const index = slices.findIndex(slice => sliceT(slice) >= T);
+      const near = slices[index - 1];
+      const far = slices[index];
+      const weight = (T - sliceT(near)) / (sliceT(far) - sliceT(near));
+      w = variance(near) + weight * (variance(far) - variance(near));
+    }
+
+    return w > 0 ? Math.sqrt(w / T) : null;
+  }
+}
+
+module.exports = new SviModel();
@@ -0,0 +1,381 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Finite number or null
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Local time-series history in flat files under dataDir/history:
+//   candles/<symbol>/<resolution>.json  candles plus the time ranges already fetched
+//   tickers/YYYY-MM-DD.ndjson           throttled ticker snapshots, one JSON line each
+//   iv/YYYY-MM-DD.ndjson                throttled IV surface snapshots
+// Candle times are Unix ms (candle open). With historyEnabled off nothing touches
+// disk and candles are only kept in memory for the life of the process.
+class TimeSeriesStore {
+  constructor() {
+    this.enabled = config.storage.historyEnabled;
+    this.historyDir = path.join(config.storage.dataDir, 'history');
+    this.series = new Map(); // symbol/resolution -> { coverage, candles } (loaded lazily)
+    this.writes = new Map(); // file -> pending write, so writes to one file never interleave
+    this.lastTickerAt = new Map(); // symbol -> time of the last stored ticker
+    this.lastIvSnapshotAt = 0;
+    this.pendingLines = new Map(); // snapshot file -> lines waiting to be appended
+    this.flushScheduled = false;
+    this.lastPruneDay = null;
+  }
+
+  // File name safe form of a symbol
+  safeName(symbol) {
+    return String(symbol).replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+
+  // Candle file of a symbol and resolution
+  seriesFile(symbol, resolution) {
+    return path.join(this.historyDir, 'candles', this.safeName(symbol), `${resolution}.json`);
+  }
+
+  // Daily snapshot file ('tickers' or 'iv') holding a time
+  snapshotFile(kind, time) {
+    return path.join(this.historyDir, kind, `${new Date(time).toISOString().slice(0, 10)}.ndjson`);
+  }
+
+  // Queue a write behind any pending write to the same file
+  queueWrite(file, write) {
+    const previous = this.writes.get(file) || Promise.resolve();
+    const next = previous
+      .then(write)
+      .catch(error => console.error(`Error writing ${file}:`, error.message))
+      .finally(() => {
+        if (this.writes.get(file) === next) {
+          this.writes.delete(file);
+        }
+      });
+    this.writes.set(file, next);
+    return next;
+  }
+
+  // Wait for all queued writes (including snapshot lines not yet flushed)
+  async flush() {
+    await this.flushSnapshots();
+    await Promise.all([...this.writes.values()]);
+  }
+
+  // Load a candle series once (missing file means nothing stored yet)
+  async loadSeries(symbol, resolution) {
+    const key = `${symbol}/${resolution}`;
+    if (this.series.has(key)) {
+      return this.series.get(key);
+    }
+
+    const series = { coverage: [], candles: new Map() };
+    if (this.enabled) {
+      try {
+        const contents = JSON.parse(await fs.readFile(this.seriesFile(symbol, resolution), 'utf8'));
+        series.coverage = Array.isArray(contents.coverage) ? contents.coverage : [];
+        (contents.candles || []).forEach(([time, open, high, low, close, volume]) => {
+          series.candles.set(time, { time, open, high, low, close, volume });
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error loading ${symbol} ${resolution} candles:`, error.message);
+        }
+      }
+    }
+    this.series.set(key, series);
+    return series;
+  }
+
+  // Persist a candle series (compact rows, written to a temp file then renamed)
+  saveSeries(symbol, resolution, series) {
+    if (!this.enabled) {
+      return Promise.resolve();
+    }
+    const file = this.seriesFile(symbol, resolution);
+    return this.queueWrite(file, async () => {
+      const candles = [...series.candles.values()]
+        .sort((a, b) => a.time - b.time)
+        .map(candle => [candle.time, candle.open, candle.high, candle.low, candle.close, candle.volume]);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify({ symbol, resolution, coverage: series.coverage, candles }));
+      await fs.rename(`${file}.tmp`, file);
+    });
+  }
+
+  // Stored candles with from <= time <= to (Unix ms), oldest first
+  async getCandles(symbol, resolution, from, to) {
+    const series = await this.loadSeries(symbol, resolution);
+    return [...series.candles.values()]
+      .filter(candle => candle.time >= from && candle.time <= to)
+      .sort((a, b) => a.time - b.time);
+  }
+
+  // Sub-ranges of [from, to] (candle open times in Unix ms, step apart) not yet
+  // fetched; ranges holding no candles on the exchange count as fetched
+  async getMissingRanges(symbol, resolution, from, to, step) {
+    const series = await this.loadSeries(symbol, resolution);
+    const missing = [];
+    let cursor = from;
+
+    series.coverage.forEach(([start, end]) => {
+      if (end < cursor || start > to) {
+        return;
+      }
+      if (start > cursor) {
+        missing.push([cursor, start - step]);
+      }
+      cursor = Math.max(cursor, end + step);
+    });
+    if (cursor <= to) {
+      missing.push([cursor, to]);
+    }
+    return missing;
+  }
+
+  // Merge fetched candles into a series. covered: [from, to] (Unix ms) fetched in
+  // full and final, or null when the range includes a candle still forming
+  async saveCandles(symbol, resolution, candles, covered, step) {
+    const series = await this.loadSeries(symbol, resolution);
+    candles.forEach(candle => series.candles.set(candle.time, candle));
+
+    if (covered) {
+      const ranges = [...series.coverage, covered].sort((a, b) => a[0] - b[0]);
+      series.coverage = ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + step) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          merged.push([...range]);
+        }
+        return merged;
+      }, []);
+    }
+
+    // Keep the newest candles; the coverage before them is forgotten too
+    const { maxStoredCandles } = config.storage;
+    if (series.candles.size > maxStoredCandles) {
+      const times = [...series.candles.keys()].sort((a, b) => a - b);
+      times.slice(0, times.length - maxStoredCandles).forEach(time => series.candles.delete(time));
+      const first = times[times.length - maxStoredCandles];
+      series.coverage = series.coverage
+        .filter(([, end]) => end >= first)
+        .map(([start, end]) => [Math.max(start, first), end]);
+    }
+
+    await this.saveSeries(symbol, resolution, series);
+  }
+
+  // Queue a JSON line for a daily snapshot file; lines are appended in one
+  // write per file on the next tick
+  appendSnapshot(kind, record) {
+    if (!this.enabled) {
+      return;
+    }
+    const file = this.snapshotFile(kind, record.time);
+    if (!this.pendingLines.has(file)) {
+      this.pendingLines.set(file, []);
+    }
+    this.pendingLines.get(file).push(JSON.stringify(record));
+
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flushSnapshots());
+    }
+  }
+
+  // Append queued snapshot lines and prune old files once a day
+  async flushSnapshots() {
+    this.flushScheduled = false;
+    const pending = this.pendingLines;
+    this.pendingLines = new Map();
+
+    const appends = [...pending.entries()].map(([file, lines]) => this.queueWrite(file, async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${lines.join('\n')}\n`);
+    }));
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (pending.size > 0 && this.lastPruneDay !== today) {
+      this.lastPruneDay = today;
+      appends.push(this.pruneSnapshots());
+    }
+    await Promise.all(appends);
+  }
+
+  // Delete daily ticker and IV files older than the retention window
+  async pruneSnapshots() {
+    const cutoff = new Date(Date.now() - config.storage.snapshotRetentionDays * DAY_MS).toISOString().slice(0, 10);
+    await Promise.all(['tickers', 'iv'].map(async kind => {
+      const files = await this.listSnapshotFiles(kind);
+      await Promise.all(files
+        .filter(file => file.slice(0, 10) < cutoff)
+        .map(file => fs.unlink(path.join(this.historyDir, kind, file)).catch(() => null)));
+    }));
+  }
+
+  // Daily snapshot file names of a kind, oldest first
+  async listSnapshotFiles(kind) {
+    try {
+      const files = await fs.readdir(path.join(this.historyDir, kind));
+      return files.filter(file => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(file)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error listing ${kind} snapshots:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  // Snapshot records of a kind with from <= time <= to (Unix ms) that match a filter
+  async readSnapshots(kind, from, to, filter = () => true) {
+    await this.flush();
+    const firstDay = new Date(from).toISOString().slice(0, 10);
+    const lastDay = new Date(to).toISOString().slice(0, 10);
+    const files = (await this.listSnapshotFiles(kind))
+      .filter(file => file.slice(0, 10) >= firstDay && file.slice(0, 10) <= lastDay);
+
+    const records = [];
+    for (const file of files) {
+      const contents = await fs.readFile(path.join(this.historyDir, kind, file), 'utf8');
+      contents.split('\n').forEach(line => {
+        if (!line) {
+          return;
+        }
+        try {
+          const record = JSON.parse(line);
+          if (record.time >= from && record.time <= to && filter(record)) {
+            records.push(record);
+          }
+        } catch (error) {
+          // Skip a line cut short by a crash mid-append
+        }
+      });
+    }
+    return records.sort((a, b) => a.time - b.time);
+  }
+
+  // Store a ticker (WebSocket message or polled Delta ticker), at most once per
+  // product per tickerSnapshotMs; returns whether it was stored
+  recordTicker(ticker, productId = null) {
+    if (!ticker || !ticker.symbol) {
+      return false;
+    }
+    const time = Date.now();
+    const last = this.lastTickerAt.get(ticker.symbol);
+    if (last && time - last < config.storage.tickerSnapshotMs) {
+      return false;
+    }
+    this.lastTickerAt.set(ticker.symbol, time);
+
+    const quotes = ticker.quotes || {};
+    this.appendSnapshot('tickers', {
+      time,
+      symbol: ticker.symbol,
+      productId: productId !== null ? String(productId) : null,
+      markPrice: toNumber(ticker.mark_price !== undefined ? ticker.mark_price : ticker.price),
+      spotPrice: toNumber(ticker.spot_price),
+      bid: toNumber(quotes.best_bid !== undefined ? quotes.best_bid : ticker.best_bid),
+      ask: toNumber(quotes.best_ask !== undefined ? quotes.best_ask : ticker.best_ask),
+      markIv: toNumber(quotes.mark_iv),
+      bidIv: toNumber(quotes.bid_iv),
+      askIv: toNumber(quotes.ask_iv),
+      openInterest: toNumber(ticker.oi !== undefined ? ticker.oi : ticker.open_interest),
+      volume: toNumber(ticker.volume !== undefined ? ticker.volume : ticker.volume_24h)
+    });
+    return true;
+  }
+
+  // Store an IV surface (volSurfaceService.buildSurface) at most once per
+  // ivSnapshotMs: ATM IV and forward per expiry plus call/put mark IVs per strike
+  recordIvSnapshot(surface) {
+    if (!surface || !surface.expiries || surface.expiries.length === 0) {
+      return false;
+    }
+    const time = new Date(surface.timestamp).getTime();
+    if (time - this.lastIvSnapshotAt < config.storage.ivSnapshotMs) {
+      return false;
+    }
+    this.lastIvSnapshotAt = time;
+
+    this.appendSnapshot('iv', {
+      time,
+      underlyingPrice: surface.underlyingPrice,
+      model: surface.pricing ? surface.pricing.model : null,
+      expiries: surface.expiries.map(slice => ({
+        expiry: slice.expiry,
+        settlementTime: slice.settlementTime,
+        timeToExpiry: slice.timeToExpiry,
+        forward: slice.forward,
+        atmStrike: slice.atmStrike,
+        atmIv: slice.atmIv,
+        points: slice.points.map(point => ({
+          strike: point.strike,
+          callIv: point.call ? point.call.markIv : null,
+          putIv: point.put ? point.put.markIv : null
+        }))
+      }))
+    });
+    return true;
+  }
+
+  // Stored tickers of a symbol between from and to (Unix ms)
+  getTickers(symbol, from, to) {
+    return this.readSnapshots('tickers', from, to, record => record.symbol === symbol);
+  }
+
+  // Stored IV snapshots between from and to (Unix ms), optionally one expiry (YYMMDD) only
+  async getIvSnapshots(from, to, expiry = null) {
+    const snapshots = await this.readSnapshots('iv', from, to);
+    if (!expiry) {
+      return snapshots;
+    }
+    return snapshots
+      .map(snapshot => ({ ...snapshot, expiries: snapshot.expiries.filter(slice => slice.expiry === expiry) }))
+      .filter(snapshot => snapshot.expiries.length > 0);
+  }
+
+  // Stored candle series (count, first and last candle time, fetched ranges) and
+  // the days of ticker and IV snapshots on disk
+  async getStatus() {
+    await this.flush();
+    const candles = [];
+    if (this.enabled) {
+      const candlesDir = path.join(this.historyDir, 'candles');
+      const symbols = await fs.readdir(candlesDir).catch(() => []);
+      for (const dir of symbols) {
+        const files = await fs.readdir(path.join(candlesDir, dir)).catch(() => []);
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+          try {
+            const contents = JSON.parse(await fs.readFile(path.join(candlesDir, dir, file), 'utf8'));
+            const rows = contents.candles || [];
+            candles.push({
+              symbol: contents.symbol,
+              resolution: contents.resolution,
+              count: rows.length,
+              first: rows.length > 0 ? rows[0][0] : null,
+              last: rows.length > 0 ? rows[rows.length - 1][0] : null,
+              coverage: contents.coverage || []
+            });
+          } catch (error) {
+            console.error(`Error reading ${dir}/${file}:`, error.message);
+          }
+        }
+      }
+    }
+
+    const days = async kind => (await this.listSnapshotFiles(kind)).map(file => file.slice(0, 10));
+    return {
+      enabled: this.enabled,
+      directory: this.historyDir,
+      candles,
+      tickerDays: await days('tickers'),
+      ivDays: await days('iv')
+    };
+  }
+}
+
+module.exports = new TimeSeriesStore();
@@ -0,0 +1,195 @@
+const optionsCalculator = require('./optionsCalculator');
+const sviModel = require('./sviModel');
+const productRegistry = require('./productRegistry');
+
+class VolSurfaceService {
+  constructor() {
+    this.deltaBuckets = [0.10, 0.25, 0.50]; // Reported as 10D, 25D and ATM
+  }
+
+  // Parse an option ticker from the market data snapshot into strike/type/expiry
+  // (null for futures and unparseable symbols)
+  parseOptionTicker(ticker) {
+    const parsed = productRegistry.parseSymbol(ticker.symbol);
+    if (!parsed || parsed.kind !== 'option') {
+      return null;
+    }
+
+    const strike = parseFloat(ticker.strike_price) || parsed.strike;
+    const settlementDate = optionsCalculator.parseExpiryDate(ticker.settlement_time || parsed.expiry);
+    if (!strike || !settlementDate) {
+      return null;
+    }
+
+    return { symbol: ticker.symbol, optionType: parsed.optionType, strike, expiry: parsed.expiry, settlementDate };
+  }
+
+  // Bucket an absolute delta to the nearest standard pillar (10D, 25D, ATM)
+  getDeltaBucket(delta, optionType) {
+    const absDelta = Math.abs(delta);
+    const nearest = this.deltaBuckets.reduce((best, bucket) =>
+      Math.abs(bucket - absDelta) < Math.abs(best - absDelta) ? bucket : best
+    );
+    if (nearest === 0.50) {
+      return 'ATM';
+    }
+    return `${Math.round(nearest * 100)}D${optionType === 'call' ? 'C' : 'P'}`;
+  }
+
+  // Solve bid/ask/mark IVs for one quote and attach delta information.
+  // F is the expiry's underlying (spot, or the forward under Black-76)
+  solveQuote(ticker, parsed, F, T, pricing) {
+    const expiryPricing = { ...pricing, basis: 0 };
+    const quotes = ticker.quotes || {};
+    const prices = {
+      bid: parseFloat(ticker.best_bid || ticker.bid || quotes.best_bid) || 0,
+      ask: parseFloat(ticker.best_ask || ticker.ask || quotes.best_ask) || 0,
+      mark: parseFloat(ticker.mark_price || ticker.price) || 0
+    };
+
+    const solve = price => price > 0
+      ? optionsCalculator.solveImpliedVolatility(F, parsed.strike, T, pricing.rate, price, parsed.optionType, pricing.model)
+      : { impliedVolatility: null, reason: 'no_quote' };
+
+    const bid = solve(prices.bid);
+    const ask = solve(prices.ask);
+    const mark = solve(prices.mark);
+
+    const delta = mark.impliedVolatility
+      ? optionsCalculator.calculateOptionGreeks(F, parsed.strike, T, mark.impliedVolatility, parsed.optionType, expiryPricing).delta
+      : null;
+
+    return {
+      symbol: parsed.symbol,
+      bid: prices.bid,
+      ask: prices.ask,
+      mark: prices.mark,
+      bidIv: bid.impliedVolatility,
+      askIv: ask.impliedVolatility,
+      markIv: mark.impliedVolatility,
+      markIvReason: mark.reason,
+      delta,
+      deltaBucket: delta !== null ? this.getDeltaBucket(delta, parsed.optionType) : null
+    };
+  }
+
+  // Interpolate the ATM (log-moneyness 0) IV from OTM mark IVs of one expiry
+  interpolateAtmIv(points) {
+    const otm = points
+      .map(point => {
+        const side = point.logMoneyness >= 0 ? point.call : point.put;
+        return { x: point.logMoneyness, iv: side ? side.markIv : null };
+      })
+      .filter(point => point.iv !== null)
+      .sort((a, b) => a.x - b.x);
+
+    if (otm.length === 0) {
+      return null;
+    }
+
+    const above = otm.find(point => point.x >= 0);
+    const below = [...otm].reverse().find(point => point.x <= 0);
+    if (!above) return below.iv;
+    if (!below) return above.iv;
+    if (above.x === below.x) return above.iv;
+
+    const weight = -below.x / (above.x - below.x);
+    return below.iv + weight * (above.iv - below.iv);
+  }
+
+  // Build the strike-by-expiry IV grid from a market data snapshot keyed by symbol.
+  // options: pricing options for optionsCalculator.resolvePricing (model, forwardPrice, ...)
+  buildSurface(marketData, currentPrice, options = {}) {
+    const pricing = optionsCalculator.resolvePricing(currentPrice, { ...options, marketData });
+    const now = new Date();
+    const expiries = {};
+
+    Object.values(marketData).forEach(ticker => {
+      const parsed = this.parseOptionTicker(ticker);
+      if (!parsed || parsed.settlementDate <= now) {
+        return;
+      }
+
+      if (!expiries[parsed.expiry]) {
+        const T = optionsCalculator.calculateTimeToExpiry(parsed.settlementDate, now);
+        const forward = pricing.model === 'black76'
+          ? optionsCalculator.getForwardPrice(pricing.referencePrice, T, pricing)
+          : pricing.referencePrice;
+        expiries[parsed.expiry] = {
+          expiry: parsed.expiry,
+          settlementTime: parsed.settlementDate.toISOString(),
+          timeToExpiry: T,
+          forward,
+          strikes: {}
+        };
+      }
+
+      const slice = expiries[parsed.expiry];
+      if (!slice.strikes[parsed.strike]) {
+        slice.strikes[parsed.strike] = {
+          strike: parsed.strike,
+          moneyness: parsed.strike / slice.forward,
+          logMoneyness: Math.log(parsed.strike / slice.forward),
+          call: null,
+          put: null
+        };
+      }
+
+      slice.strikes[parsed.strike][parsed.optionType] =
+        this.solveQuote(ticker, parsed, slice.forward, slice.timeToExpiry, pricing);
+    });
+
+    const slices = Object.values(expiries)
+      .sort((a, b) => a.timeToExpiry - b.timeToExpiry)
+      .map(slice => {
+        const points = Object.values(slice.strikes).sort((a, b) => a.strike - b.strike);
+        const atmPoint = points.reduce((best, point) =>
+          !best || Math.abs(point.logMoneyness) < Math.abs(best.logMoneyness) ? point : best, null);
+        return {
+          expiry: slice.expiry,
+          settlementTime: slice.settlementTime,
+          timeToExpiry: slice.timeToExpiry,
+          forward: slice.forward,
+          atmStrike: atmPoint ? atmPoint.strike : null,
+          atmIv: this.interpolateAtmIv(points),
+          points
+        };
+      });
+
+    const strikes = [...new Set(slices.flatMap(slice => slice.points.map(point => point.strike)))]
+      .sort((a, b) => a - b);
+
+    // One row per strike with the OTM mark IV for each expiry (null where unquoted)
+    const grid = strikes.map(strike => ({
+      strike,
+      ivs: slices.reduce((acc, slice) => {
+        const point = slice.points.find(p => p.strike === strike);
+        const side = point && (point.logMoneyness >= 0 ? point.call : point.put);
+        acc[slice.expiry] = side ? side.markIv : null;
+        return acc;
+      }, {})
+    }));
+
+    const surface = {
+      timestamp: now.toISOString(),
+      underlyingPrice: pricing.referencePrice,
+      pricing,
+      expiries: slices,
+      strikes,
+      grid,
+      termStructure: slices.map(slice => ({
+        expiry: slice.expiry,
+        settlementTime: slice.settlementTime,
+        timeToExpiry: slice.timeToExpiry,
+        atmIv: slice.atmIv
+      }))
+    };
+
+    // Smooth per-expiry SVI fit with arbitrage checks and residuals
+    surface.fit = sviModel.fitSurface(surface);
+
+    return surface;
+  }
+}
+
+module.exports = new VolSurfaceService();
@@ -29,7 +29,8 @@ const Dashboard = () => {
       });
 
       socket.on('marketUpdate', (data) => {
-        setMarketData(prev => ({ ...prev, ...data }));
+        if (!data || !data.symbol) return;
+        setMarketData(prev => ({ ...prev, [data.symbol]: { ...prev[data.symbol], ...data } }));
       });
     }
 
@@ -88,10 +89,10 @@ const Dashboard = () => {
       ticker.symbol === 'BTC-PERP'
     );
     
-    // If not found, look for any BTC ticker
+    // If not found, use any BTC perpetual
     if (!btcTicker) {
       btcTicker = Object.values(marketData).find(ticker => 
-        ticker.symbol && ticker.symbol.includes('BTC')
+        ticker.parsed && ticker.parsed.kind === 'perpetual' && ticker.parsed.underlying === 'BTC'
       );
     }
     
@@ -153,8 +154,8 @@ const Dashboard = () => {
     },
     {
       name: 'Active Options',
-      value: Object.keys(marketData).filter(symbol => 
-        symbol.includes('C') || symbol.includes('P')
+      value: Object.values(marketData).filter(ticker => 
+        ticker.parsed && ticker.parsed.kind === 'option'
       ).length,
       change: 0,
       changeType: 'neutral',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useTheme } from '../context/ThemeContext';
 import { useData } from '../context/DataContext';
 import { apiService } from '../services/apiService';
@@ -10,6 +10,8 @@ const OptionChain = () => {
   const { socket, isConnected } = useData();
   const [products, setProducts] = useState([]);
   const [marketData, setMarketData] = useState({});
+  const [productsSource, setProductsSource] = useState(null);
+  const [expirations, setExpirations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedExpiry, setSelectedExpiry] = useState('all');
@@ -21,7 +23,8 @@ const OptionChain = () => {
     
     if (socket) {
       socket.on('marketUpdate', (data) => {
-        setMarketData(prev => ({ ...prev, ...data }));
+        if (!data || !data.symbol) return;
+        setMarketData(prev => ({ ...prev, [data.symbol]: { ...prev[data.symbol], ...data } }));
       });
     }
 
@@ -48,6 +51,10 @@ const OptionChain = () => {
       if (productsResponse.success) {
         console.log('Setting products:', productsResponse.data);
         setProducts(productsResponse.data);
+        setProductsSource(productsResponse.stale ? `${productsResponse.source} (stale)` : productsResponse.source);
+        if (productsResponse.warning) {
+          toast.error(productsResponse.warning);
+        }
       } else {
         console.error('Products response not successful:', productsResponse);
       }
@@ -58,6 +65,12 @@ const OptionChain = () => {
       } else {
         console.error('Market response not successful:', marketResponse);
       }
+
+      // Expiry summaries use the tickers the market data request just registered
+      const expirationsResponse = await apiService.getExpirations();
+      if (expirationsResponse.success) {
+        setExpirations(expirationsResponse.data);
+      }
     } catch (error) {
       toast.error('Failed to fetch option chain data');
       console.error('Error fetching data:', error);
@@ -66,91 +79,16 @@ const OptionChain = () => {
     }
   };
 
-  const getExpiryDates = () => {
-    const allDates = [...new Set(products.map(p => p.expirationDate))];
-    const sortedDates = allDates.sort((a, b) => {
-      // Handle perpetual futures
-      if (a === 'PERP') return 1;
-      if (b === 'PERP') return -1;
-      
-      // Handle Delta Exchange date format (YYMMDD)
-      if (a.length === 6 && /^\d{6}$/.test(a) && b.length === 6 && /^\d{6}$/.test(b)) {
-        return a.localeCompare(b);
-      }
-      
-      // Handle regular date format
-      try {
-        const dateA = new Date(a);
-        const dateB = new Date(b);
-        return dateA - dateB;
-      } catch (error) {
-        return a.localeCompare(b);
-      }
-    });
-    
-    return sortedDates;
-  };
+  // Tickers indexed by the product id the backend registry tagged them with
+  const tickersByProductId = useMemo(() => Object.values(marketData).reduce((acc, ticker) => {
+    if (ticker && ticker.product_id !== undefined && ticker.product_id !== null) {
+      acc[ticker.product_id] = ticker;
+    }
+    return acc;
+  }, {}), [marketData]);
 
   const getMarketDataForProduct = (product) => {
-    console.log('Getting market data for product:', product.symbol);
-    console.log('Available market data keys:', Object.keys(marketData));
-    
-    // Try to find market data by exact symbol match first
-    let marketInfo = marketData[product.symbol];
-    
-    // If not found, try to find by product ID
-    if (!marketInfo) {
-      marketInfo = marketData[product.id];
-    }
-    
-    // If still not found, try to find by normalized symbol matching
-    if (!marketInfo) {
-      const normalizedProductSymbol = product.symbol.replace(/[^A-Z0-9]/g, ''); // Remove special chars
-      const matchingKey = Object.keys(marketData).find(key => {
-        const normalizedKey = key.replace(/[^A-Z0-9]/g, ''); // Remove special chars
-        return normalizedKey.includes(normalizedProductSymbol) || 
-               normalizedProductSymbol.includes(normalizedKey) ||
-               key.toLowerCase().includes(product.symbol.toLowerCase()) ||
-               product.symbol.toLowerCase().includes(key.toLowerCase());
-      });
-      if (matchingKey) {
-        marketInfo = marketData[matchingKey];
-        console.log('Found match by normalized symbol:', matchingKey, 'for', product.symbol);
-      }
-    }
-    
-    // If still not found, try to find by partial symbol match
-    if (!marketInfo) {
-      const productSymbolParts = product.symbol.split('-');
-      const matchingKey = Object.keys(marketData).find(key => {
-        const keyParts = key.split('-');
-        return productSymbolParts.some(part => 
-          keyParts.some(keyPart => 
-            keyPart.includes(part) || part.includes(keyPart)
-          )
-        );
-      });
-      if (matchingKey) {
-        marketInfo = marketData[matchingKey];
-        console.log('Found match by partial symbol:', matchingKey, 'for', product.symbol);
-      }
-    }
-    
-    console.log('Found market info for', product.symbol, ':', marketInfo);
-    
-    // If no market data found, generate mock data for development
-    if (!marketInfo || Object.keys(marketInfo).length === 0) {
-      console.log('No market data found, generating mock data for:', product.symbol);
-      marketInfo = {
-        price: 100 + Math.random() * 50,
-        bid: 95 + Math.random() * 40,
-        ask: 105 + Math.random() * 60,
-        volume_24h: Math.random() * 1000,
-        open_interest: Math.random() * 500,
-        change_24h: (Math.random() - 0.5) * 10,
-        change_24h_percent: (Math.random() - 0.5) * 5
-      };
-    }
+    const marketInfo = tickersByProductId[product.id] || {};
     
     // Ensure we have the correct field mappings for display
     return {
@@ -182,7 +120,7 @@ const OptionChain = () => {
          // For 'all' selection, show all expirations
          matchesExpiry = true;
        } else {
-         matchesExpiry = product.expirationDate === selectedExpiry;
+         matchesExpiry = product.parsed?.expiry === selectedExpiry;
        }
       
       return matchesSearch && matchesExpiry;
@@ -304,7 +242,7 @@ const OptionChain = () => {
           </div>
 
           {/* Expiry Filter */}
-          <div className="lg:w-48">
+          <div className="lg:w-72">
             <select
               value={selectedExpiry}
               onChange={(e) => setSelectedExpiry(e.target.value)}
@@ -315,9 +253,9 @@ const OptionChain = () => {
               }`}
             >
               <option value="all">All Expirations</option>
-              {getExpiryDates().map(date => (
-                <option key={date} value={date}>
-                  {formatDate(date)}
+              {expirations.map(expiration => (
+                <option key={expiration.expiry} value={expiration.expiry}>
+                  {formatDate(expiration.expiry)} ({expiration.strikeCount} strikes{expiration.atmIv !== null ? `, ATM IV ${(expiration.atmIv * 100).toFixed(1)}%` : ''})
                 </option>
               ))}
             </select>
@@ -465,11 +403,15 @@ const OptionChain = () => {
       {process.env.NODE_ENV === 'development' && (
         <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
           <h3 className={`text-lg font-semibold mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>Debug Info</h3>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
             <div>
               <p className={`font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Products Count:</p>
               <p className={`${darkMode ? 'text-white' : 'text-gray-900'}`}>{products.length}</p>
             </div>
+            <div>
+              <p className={`font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Products Source:</p>
+              <p className={`${darkMode ? 'text-white' : 'text-gray-900'}`}>{productsSource || 'unknown'}</p>
+            </div>
             <div>
               <p className={`font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Market Data Keys:</p>
               <p className={`${darkMode ? 'text-white' : 'text-gray-900'}`}>{Object.keys(marketData).slice(0, 10).join(', ')}...</p>
@@ -528,7 +470,7 @@ const OptionChain = () => {
               Expiry Dates
             </p>
             <p className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
-              {getExpiryDates().length}
+              {expirations.length}
             </p>
           </div>
           <div>
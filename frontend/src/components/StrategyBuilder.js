@@ -18,9 +18,34 @@ import {
   BarChart3,
   Settings,
   Eye,
-  EyeOff
+  EyeOff,
+  Percent,
+  Activity,
+  Shield
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+
+const CURVE_COLORS = ['#3b82f6', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#10b981'];
+
+const HIGHER_ORDER_GREEKS = [
+  { key: 'totalVanna', unitKey: 'vanna', label: 'Vanna', description: 'Delta sensitivity to volatility' },
+  { key: 'totalVolga', unitKey: 'volga', label: 'Volga', description: 'Vega sensitivity to volatility' },
+  { key: 'totalCharm', unitKey: 'charm', label: 'Charm', description: 'Delta decay over time' },
+  { key: 'totalSpeed', unitKey: 'speed', label: 'Speed', description: 'Gamma sensitivity to price' },
+  { key: 'totalColor', unitKey: 'color', label: 'Color', description: 'Gamma decay over time' },
+  { key: 'totalZomma', unitKey: 'zomma', label: 'Zomma', description: 'Gamma sensitivity to volatility' }
+];
 
 // Strategy Templates
 const STRATEGY_TEMPLATES = {
@@ -93,6 +118,11 @@ const StrategyBuilder = () => {
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [autoCalculate, setAutoCalculate] = useState(true);
   const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [horizonDays, setHorizonDays] = useState('');
+  const [ivShift, setIvShift] = useState(0);
+  const [orderType, setOrderType] = useState('taker');
+  const [scenarioMatrix, setScenarioMatrix] = useState(null);
+  const [scenarioHorizonDays, setScenarioHorizonDays] = useState('');
 
   // Real-time updates
   useEffect(() => {
@@ -202,16 +232,34 @@ const StrategyBuilder = () => {
 
     try {
       setLoading(true);
-      const response = await apiService.calculateStrategy(strategy, currentPrice);
+      const horizons = horizonDays
+        .split(',')
+        .map(day => parseFloat(day))
+        .filter(day => Number.isFinite(day) && day > 0);
+      const response = await apiService.calculateStrategy(strategy, currentPrice, {
+        horizons,
+        ivShift: (parseFloat(ivShift) || 0) / 100,
+        fees: { orderType },
+        units: 'trader'
+      });
       if (response.success) {
         setStrategyMetrics(response.data);
       }
+
+      const scenarios = await apiService.calculateScenarios(strategy, currentPrice, {
+        horizon: parseFloat(scenarioHorizonDays) > 0 ? parseFloat(scenarioHorizonDays) : undefined,
+        fees: { orderType },
+        units: 'trader'
+      });
+      if (scenarios.success) {
+        setScenarioMatrix(scenarios.data);
+      }
     } catch (error) {
       console.error('Error calculating strategy:', error);
     } finally {
       setLoading(false);
     }
-  }, [strategy, currentPrice]);
+  }, [strategy, currentPrice, horizonDays, ivShift, orderType, scenarioHorizonDays]);
 
   // Auto-calculate when strategy changes
   useEffect(() => {
@@ -225,6 +273,16 @@ const StrategyBuilder = () => {
     return price ? `$${parseFloat(price).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : 'N/A';
   };
 
+  const formatBTC = (value) => {
+    if (value === null || value === undefined) return 'N/A';
+    return `₿${parseFloat(value).toFixed(4)}`;
+  };
+
+  // Max profit/loss may be 'unlimited' when the payoff keeps sloping past the last strike
+  const formatExtreme = (value, formatter) => {
+    return value === 'unlimited' ? 'Unlimited' : formatter(value);
+  };
+
   const formatGreeks = (value) => {
     if (value === null || value === undefined) return '0.0000';
     return parseFloat(value).toFixed(4);
@@ -235,6 +293,27 @@ const StrategyBuilder = () => {
     return `${(parseFloat(value) * 100).toFixed(2)}%`;
   };
 
+  // Merge the T+n curves into one row per underlying price for recharts
+  const getCurveChartData = () => {
+    const curves = strategyMetrics?.payoffCurves || [];
+    if (curves.length === 0) return [];
+    return curves[0].data.map((point, index) => {
+      const row = { price: point.price };
+      curves.forEach(curve => {
+        row[curve.label] = curve.data[index]?.payoff;
+      });
+      return row;
+    });
+  };
+
+  // Green for profit, red for loss, scaled by the largest P&L of that sign
+  const getScenarioCellColor = (pnl) => {
+    if (!scenarioMatrix || pnl === 0) return 'transparent';
+    const scale = pnl > 0 ? scenarioMatrix.maxPnL : -scenarioMatrix.minPnL;
+    const alpha = scale > 0 ? Math.min(1, Math.abs(pnl) / scale) * 0.7 + 0.1 : 0.1;
+    return pnl > 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+  };
+
   const getOptionLabel = (option) => {
     if (!option) return 'Select Option';
     const type = option.contractType === 'call_option' ? 'CALL' : 
@@ -478,6 +557,55 @@ const StrategyBuilder = () => {
                     Auto-calculate on price changes
                   </span>
                 </label>
+                <div>
+                  <label className={`block text-xs font-medium mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Curve horizons (days from now, comma separated)
+                  </label>
+                  <input
+                    type="text"
+                    value={horizonDays}
+                    onChange={(e) => setHorizonDays(e.target.value)}
+                    placeholder="e.g. 1, 3, 7"
+                    className={`w-full px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-blue-500 focus:border-transparent ${
+                      darkMode 
+                        ? 'bg-gray-600 border-gray-500 text-white' 
+                        : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-xs font-medium mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    IV shift (vol points)
+                  </label>
+                  <input
+                    type="number"
+                    step="1"
+                    value={ivShift}
+                    onChange={(e) => setIvShift(e.target.value)}
+                    className={`w-full px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-blue-500 focus:border-transparent ${
+                      darkMode 
+                        ? 'bg-gray-600 border-gray-500 text-white' 
+                        : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-xs font-medium mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Fills (fees and slippage)
+                  </label>
+                  <select
+                    value={orderType}
+                    onChange={(e) => setOrderType(e.target.value)}
+                    className={`w-full px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-blue-500 focus:border-transparent ${
+                      darkMode 
+                        ? 'bg-gray-600 border-gray-500 text-white' 
+                        : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                  >
+                    <option value="taker">Taker (cross the spread)</option>
+                    <option value="maker">Maker (no slippage)</option>
+                  </select>
+                </div>
               </div>
             </div>
           )}
@@ -584,7 +712,7 @@ const StrategyBuilder = () => {
                   {/* Entry Price */}
                   <div className="md:col-span-2">
                     <label className={`block text-xs font-medium mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                      Entry Price
+                      Entry Price{leg.option?.contractSettlement === 'inverse' ? ' (BTC)' : ''}
                     </label>
                     <input
                       type="number"
@@ -595,7 +723,7 @@ const StrategyBuilder = () => {
                         const val = e.target.value;
                         updateLeg(leg.id, 'price', val === '' ? '' : parseFloat(val));
                       }}
-                      placeholder="Auto or enter price"
+                      placeholder={leg.option?.contractType === 'futures' ? 'Mark or enter price' : 'Auto or enter price'}
                       className={`w-full px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-blue-500 focus:border-transparent ${
                         darkMode 
                           ? 'bg-gray-600 border-gray-500 text-white' 
@@ -603,6 +731,32 @@ const StrategyBuilder = () => {
                       }`}
                     />
                   </div>
+
+                  {/* IV Override (sent as a fraction; blank uses quote, surface, realized, then default) */}
+                  {leg.option && leg.option.contractType !== 'futures' && (
+                    <div className="md:col-span-2">
+                      <label className={`block text-xs font-medium mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                        IV Override (%)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={leg.impliedVolatility > 0 ? Math.round(leg.impliedVolatility * 10000) / 100 : ''}
+                        onFocus={(e) => e.target.select()}
+                        onChange={(e) => {
+                          const val = parseFloat(e.target.value);
+                          updateLeg(leg.id, 'impliedVolatility', val > 0 ? val / 100 : undefined);
+                        }}
+                        placeholder="Auto (quote / surface / realized)"
+                        className={`w-full px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-blue-500 focus:border-transparent ${
+                          darkMode 
+                            ? 'bg-gray-600 border-gray-500 text-white' 
+                            : 'bg-white border-gray-300 text-gray-900'
+                        }`}
+                      />
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
@@ -633,7 +787,7 @@ const StrategyBuilder = () => {
         <div className="lg:col-span-2 space-y-6">
           {/* Summary Cards */}
           {strategyMetrics && (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
               {/* Total Cost */}
               <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
                 <div className="flex items-center space-x-2 mb-2">
@@ -645,6 +799,14 @@ const StrategyBuilder = () => {
                 <div className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
                   {formatPrice(strategyMetrics.totalCost)}
                 </div>
+                <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                  {formatBTC(strategyMetrics.totalCostBTC)}{strategyMetrics.settlement !== 'linear' ? ` (${strategyMetrics.settlement} settlement)` : ''}
+                </div>
+                {strategyMetrics.totalFees && (
+                  <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                    Incl. fees {formatPrice(strategyMetrics.totalFees.tradingFees)} + slippage {formatPrice(strategyMetrics.totalFees.slippage)}
+                  </div>
+                )}
               </div>
 
               {/* Max Profit */}
@@ -656,7 +818,13 @@ const StrategyBuilder = () => {
                   </span>
                 </div>
                 <div className="text-xl font-bold text-green-600">
-                  {formatPrice(strategyMetrics.maxProfit)}
+                  {formatExtreme(strategyMetrics.maxProfit, formatPrice)}
+                </div>
+                <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                  {formatExtreme(strategyMetrics.maxProfitBTC, formatBTC)}
+                  {strategyMetrics.maxProfitPrice !== null && strategyMetrics.maxProfitPrice !== undefined
+                    ? ` at ${strategyMetrics.maxProfitPrice > 0 ? formatPrice(strategyMetrics.maxProfitPrice) : '$0'}`
+                    : ''}
                 </div>
               </div>
 
@@ -669,10 +837,36 @@ const StrategyBuilder = () => {
                   </span>
                 </div>
                 <div className="text-xl font-bold text-red-600">
-                  {formatPrice(strategyMetrics.maxLoss)}
+                  {formatExtreme(strategyMetrics.maxLoss, formatPrice)}
+                </div>
+                <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                  {formatExtreme(strategyMetrics.maxLossBTC, formatBTC)}
+                  {strategyMetrics.maxLossPrice !== null && strategyMetrics.maxLossPrice !== undefined
+                    ? ` at ${strategyMetrics.maxLossPrice > 0 ? formatPrice(strategyMetrics.maxLossPrice) : '$0'}`
+                    : ''}
                 </div>
               </div>
 
+              {/* Margin */}
+              <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+                <div className="flex items-center space-x-2 mb-2">
+                  <Shield size={16} className="text-orange-600" />
+                  <span className={`text-sm font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Margin
+                  </span>
+                </div>
+                <div className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {strategyMetrics.margin ? formatPrice(strategyMetrics.margin.initialMargin) : 'N/A'}
+                </div>
+                {strategyMetrics.margin && (
+                  <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                    Maint. {formatPrice(strategyMetrics.margin.maintenanceMargin)}
+                    {strategyMetrics.margin.standard?.spreadOffset?.applied ? ' (spread offset)' : ''}
+                    {' | Portfolio '}{formatPrice(strategyMetrics.margin.portfolio?.initialMargin)}
+                  </div>
+                )}
+              </div>
+
               {/* Break Even */}
               <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
                 <div className="flex items-center space-x-2 mb-2">
@@ -690,6 +884,190 @@ const StrategyBuilder = () => {
               </div>
             </div>
           )}
+          {strategyMetrics?.payoffValuation === 'first-expiry' && (
+            <p className={`text-xs ${darkMode ? 'text-yellow-400' : 'text-yellow-700'}`}>
+              Legs expire on different dates: max profit, max loss and break-evens are model values at the first expiry, with later legs priced at their current IV.
+            </p>
+          )}
+
+          {/* Probability Cards */}
+          {strategyMetrics?.probabilities && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+              {/* Probability of Profit */}
+              <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+                <div className="flex items-center space-x-2 mb-2">
+                  <Percent size={16} className="text-blue-600" />
+                  <span className={`text-sm font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Probability of Profit
+                  </span>
+                </div>
+                <div className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {formatPercentage(strategyMetrics.probabilities.probabilityOfProfit)}
+                </div>
+                <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                  at {formatPercentage(strategyMetrics.probabilities.volatility)} vol ({strategyMetrics.probabilities.volatilitySource})
+                </div>
+              </div>
+
+              {/* Expected P&L */}
+              <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+                <div className="flex items-center space-x-2 mb-2">
+                  <DollarSign size={16} className="text-green-600" />
+                  <span className={`text-sm font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Expected P&L
+                  </span>
+                </div>
+                <div className={`text-xl font-bold ${strategyMetrics.probabilities.expectedPnL >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatPrice(strategyMetrics.probabilities.expectedPnL)}
+                </div>
+              </div>
+
+              {/* Expected Return on Margin */}
+              <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+                <div className="flex items-center space-x-2 mb-2">
+                  <Activity size={16} className="text-yellow-600" />
+                  <span className={`text-sm font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Expected Return on Margin
+                  </span>
+                </div>
+                <div className={`text-xl font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {strategyMetrics.probabilities.expectedReturnOnMargin !== null
+                    ? formatPercentage(strategyMetrics.probabilities.expectedReturnOnMargin)
+                    : 'N/A'}
+                </div>
+                <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                  on {formatPrice(strategyMetrics.probabilities.margin)}
+                </div>
+              </div>
+
+              {/* Break Even Touch */}
+              <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+                <div className="flex items-center space-x-2 mb-2">
+                  <Target size={16} className="text-purple-600" />
+                  <span className={`text-sm font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Break Even Touch
+                  </span>
+                </div>
+                <div className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {strategyMetrics.probabilities.breakEvenTouch.length > 0
+                    ? strategyMetrics.probabilities.breakEvenTouch.map(touch => (
+                        <div key={touch.price}>
+                          {formatPrice(touch.price)}: {formatPercentage(touch.probability)}
+                        </div>
+                      ))
+                    : 'N/A'
+                  }
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* P&L Curves */}
+          {strategyMetrics?.payoffCurves?.length > 0 && (
+            <div className={`p-6 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+              <h2 className={`text-lg font-semibold mb-4 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                P&L Curves
+              </h2>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={getCurveChartData()}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#374151' : '#e5e7eb'} />
+                  <XAxis
+                    dataKey="price"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={(value) => `$${Math.round(value).toLocaleString()}`}
+                    stroke={darkMode ? '#9ca3af' : '#6b7280'}
+                  />
+                  <YAxis
+                    tickFormatter={(value) => `$${Math.round(value).toLocaleString()}`}
+                    stroke={darkMode ? '#9ca3af' : '#6b7280'}
+                  />
+                  <Tooltip
+                    formatter={(value) => formatPrice(value)}
+                    labelFormatter={(value) => `BTC ${formatPrice(value)}`}
+                  />
+                  <Legend />
+                  <ReferenceLine y={0} stroke={darkMode ? '#6b7280' : '#9ca3af'} />
+                  <ReferenceLine x={currentPrice} stroke="#ef4444" strokeDasharray="4 4" />
+                  {strategyMetrics.payoffCurves.map((curve, index) => (
+                    <Line
+                      key={curve.label}
+                      type="monotone"
+                      dataKey={curve.label}
+                      stroke={curve.label === 'Expiry' ? '#10b981' : CURVE_COLORS[index % CURVE_COLORS.length]}
+                      strokeWidth={curve.label === 'Expiry' ? 2 : 1.5}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          {/* Scenario Matrix */}
+          {scenarioMatrix?.rows?.length > 0 && (
+            <div className={`p-6 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                  Spot / Vol Scenarios
+                </h2>
+                <div className="flex items-center space-x-2">
+                  <label className={`text-xs font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Horizon (days)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={scenarioHorizonDays}
+                    onChange={(e) => setScenarioHorizonDays(e.target.value)}
+                    placeholder="0"
+                    className={`w-20 px-2 py-1 text-sm border rounded focus:ring-1 focus:ring-blue-500 focus:border-transparent ${
+                      darkMode 
+                        ? 'bg-gray-600 border-gray-500 text-white' 
+                        : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                  />
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr>
+                      <th className={`p-1 text-left ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>IV \ Spot</th>
+                      {scenarioMatrix.spotMoves.map(move => (
+                        <th key={move} className={`p-1 text-center ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                          {move > 0 ? '+' : ''}{(move * 100).toFixed(0)}%
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...scenarioMatrix.rows].reverse().map(row => (
+                      <tr key={row.ivShift}>
+                        <td className={`p-1 font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                          {row.ivShift > 0 ? '+' : ''}{(row.ivShift * 100).toFixed(0)} vol
+                        </td>
+                        {row.cells.map(cell => (
+                          <td
+                            key={cell.spotMove}
+                            title={`BTC ${formatPrice(cell.price)} | Delta ${formatGreeks(cell.greeks.delta)} | Gamma ${formatGreeks(cell.greeks.gamma)} | Theta ${formatGreeks(cell.greeks.theta)} | Vega ${formatGreeks(cell.greeks.vega)}`}
+                            style={{ backgroundColor: getScenarioCellColor(cell.pnl) }}
+                            className={`p-1 text-center ${darkMode ? 'text-white' : 'text-gray-900'}`}
+                          >
+                            {Math.round(cell.pnl).toLocaleString()}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className={`mt-2 text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                P&L in USD at {new Date(scenarioMatrix.horizon).toLocaleString()}; hover a cell for its Greeks
+              </div>
+            </div>
+          )}
 
           {/* Greeks Dashboard */}
           {strategyMetrics && (
@@ -708,8 +1086,18 @@ const StrategyBuilder = () => {
                   <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
                     {formatGreeks(strategyMetrics.totalDelta)}
                   </div>
+                  {strategyMetrics.greekUnits?.dollarDelta && (
+                    <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {formatPrice(strategyMetrics.totalDollarDelta)} dollar delta
+                    </div>
+                  )}
+                  {strategyMetrics.settlement && strategyMetrics.settlement !== 'linear' && (
+                    <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {formatBTC(strategyMetrics.totalDeltaBTC)} premium-adjusted
+                    </div>
+                  )}
                   <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
-                    Price sensitivity
+                    Price sensitivity{strategyMetrics.greekUnits ? ` (${strategyMetrics.greekUnits.delta})` : ''}
                   </div>
                 </div>
 
@@ -723,8 +1111,13 @@ const StrategyBuilder = () => {
                   <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
                     {formatGreeks(strategyMetrics.totalGamma)}
                   </div>
+                  {strategyMetrics.greekUnits?.dollarGamma && (
+                    <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {formatPrice(strategyMetrics.totalDollarGamma)} per 1% move
+                    </div>
+                  )}
                   <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
-                    Delta sensitivity
+                    Delta sensitivity{strategyMetrics.greekUnits ? ` (${strategyMetrics.greekUnits.gamma})` : ''}
                   </div>
                 </div>
 
@@ -739,7 +1132,7 @@ const StrategyBuilder = () => {
                     {formatGreeks(strategyMetrics.totalTheta)}
                   </div>
                   <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
-                    Time decay
+                    Time decay{strategyMetrics.greekUnits ? ` (${strategyMetrics.greekUnits.theta})` : ''}
                   </div>
                 </div>
 
@@ -754,13 +1147,42 @@ const StrategyBuilder = () => {
                     {formatGreeks(strategyMetrics.totalVega)}
                   </div>
                   <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
-                    Volatility sensitivity
+                    Volatility sensitivity{strategyMetrics.greekUnits ? ` (${strategyMetrics.greekUnits.vega})` : ''}
                   </div>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Higher-Order Greeks */}
+          {strategyMetrics && showAdvanced && (
+            <div className={`p-6 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+              <h2 className={`text-lg font-semibold mb-4 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                Higher-Order Greeks
+              </h2>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                {HIGHER_ORDER_GREEKS.map(({ key, unitKey, label, description }) => (
+                  <div key={key} className={`p-3 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                    <span className={`text-xs font-medium ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {label}
+                    </span>
+                    <div className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                      {formatGreeks(strategyMetrics[key])}
+                    </div>
+                    <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                      {description}
+                    </div>
+                    {strategyMetrics.greekUnits?.[unitKey] && (
+                      <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
+                        {strategyMetrics.greekUnits[unitKey]}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Individual Legs */}
           {strategyMetrics && (
             <div className={`p-6 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
@@ -776,8 +1198,16 @@ const StrategyBuilder = () => {
                           Leg {index + 1}: {leg.action.toUpperCase()} {leg.option?.symbol}
                         </span>
                         <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                          Qty: {leg.quantity} | Price: {formatPrice(leg.price)}
+                          Qty: {leg.quantity} | Entry: {leg.premiumCurrency === 'BTC' ? formatBTC(leg.entryPrice) : formatPrice(leg.entryPrice)} | Mark: {formatPrice(leg.price)}
+                          {leg.impliedVolatility !== null ? ` | IV: ${formatPercentage(leg.impliedVolatility)} (${leg.ivSource})` : ` | Lot: ${leg.lotSize}`}
+                          {leg.settlement === 'inverse' ? ' | BTC-settled' : ''}
                         </div>
+                        {leg.fees && (
+                          <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                            Fee: {formatPrice(leg.fees.tradingFee)} | Slippage: {formatPrice(leg.fees.slippage)} ({leg.fees.slippageSource})
+                            {leg.fees.settlementFeeAtCurrentPrice > 0 ? ` | Settlement fee at spot: ${formatPrice(leg.fees.settlementFeeAtCurrentPrice)}` : ''}
+                          </div>
+                        )}
                       </div>
                       <div className={`text-sm font-medium ${leg.positionCost >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                         {formatPrice(leg.positionCost)}
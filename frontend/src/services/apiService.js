@@ -39,6 +39,14 @@ export const apiService = {
     return apiClient.get('/products');
   },
 
+  getProduct: async (productId) => {
+    return apiClient.get(`/products/${encodeURIComponent(productId)}`);
+  },
+
+  parseSymbol: async (symbol) => {
+    return apiClient.get(`/symbols/${encodeURIComponent(symbol)}`);
+  },
+
   getMarketData: async () => {
     return apiClient.get('/market-data');
   },
@@ -51,36 +59,86 @@ export const apiService = {
     return apiClient.get('/expirations');
   },
 
-  getHistoricalData: async (productId, interval = '1D', limit = 100, startTime, endTime) => {
-    const params = new URLSearchParams({ interval, limit });
-    if (startTime) params.append('startTime', startTime);
-    if (endTime) params.append('endTime', endTime);
-    return apiClient.get(`/historical/${productId}?${params}`);
+  // start/end: ISO dates or Unix timestamps; candle times come back in Unix ms
+  getHistoricalData: async (productId, resolution = '1d', { start, end, limit } = {}) => {
+    return apiClient.get(`/historical/${productId}`, { params: { resolution, start, end, limit } });
+  },
+
+  // Locally stored history (filled from candle requests, ticker polls and the WebSocket feed)
+  getHistoryStatus: async () => {
+    return apiClient.get('/history/status');
+  },
+
+  getTickerHistory: async (symbol, { start, end } = {}) => {
+    return apiClient.get(`/history/tickers/${symbol}`, { params: { start, end } });
+  },
+
+  getIvHistory: async ({ start, end, expiry } = {}) => {
+    return apiClient.get('/history/iv', { params: { start, end, expiry } });
+  },
+
+  getVolSurface: async (params = {}) => {
+    return apiClient.get('/vol-surface', { params });
   },
 
   getOrderBook: async (productId, depth = 20) => {
     return apiClient.get(`/orderbook/${productId}?depth=${depth}`);
   },
 
-  getHistoricalData: async (productId, interval = '1D', limit = 100) => {
-    return apiClient.get(`/historical/${productId}?interval=${interval}&limit=${limit}`);
+  // Calculations
+  calculateOption: async (option, currentPrice, options = {}) => {
+    return apiClient.post('/calculate/option', { option, currentPrice, options });
   },
 
-  // Calculations
-  calculateOption: async (option, currentPrice) => {
-    return apiClient.post('/calculate/option', { option, currentPrice });
+  calculateChain: async (products, currentPrice, options = {}) => {
+    return apiClient.post('/calculate/chain', { products, currentPrice, options });
+  },
+
+  calculateStrategy: async (strategy, currentPrice, options = {}) => {
+    return apiClient.post('/calculate/strategy', { strategy, currentPrice, options });
+  },
+
+  calculateMargin: async (strategy, currentPrice, options = {}) => {
+    return apiClient.post('/calculate/margin', { strategy, currentPrice, options });
+  },
+
+  calculateScenarios: async (strategy, currentPrice, options = {}) => {
+    return apiClient.post('/calculate/scenarios', { strategy, currentPrice, options });
+  },
+
+  calculateImpliedVolatility: async (S, K, T, r, marketPrice, optionType, model = 'black-scholes') => {
+    return apiClient.post('/calculate/iv', { S, K, T, r, marketPrice, optionType, model });
+  },
+
+  calculateGreeks: async (S, K, T, r, sigma, optionType, model = 'black-scholes', units = 'annual') => {
+    return apiClient.post('/calculate/greeks', { S, K, T, r, sigma, optionType, model, units });
+  },
+
+  // Simulation
+  simulateStrategy: async (strategy, currentPrice, options = {}) => {
+    return apiClient.post('/simulate/strategy', { strategy, currentPrice, options });
+  },
+
+  // Stress tests
+  getStressScenarios: async () => {
+    return apiClient.get('/stress-tests/scenarios');
+  },
+
+  saveStressScenario: async (scenario) => {
+    return apiClient.post('/stress-tests/scenarios', scenario);
   },
 
-  calculateStrategy: async (strategy, currentPrice) => {
-    return apiClient.post('/calculate/strategy', { strategy, currentPrice });
+  deleteStressScenario: async (id) => {
+    return apiClient.delete(`/stress-tests/scenarios/${id}`);
   },
 
-  calculateImpliedVolatility: async (S, K, T, r, marketPrice, optionType) => {
-    return apiClient.post('/calculate/iv', { S, K, T, r, marketPrice, optionType });
+  runStressTests: async ({ strategy, portfolio, currentPrice, scenarioIds, scenarios, options = {} }) => {
+    return apiClient.post('/stress-tests/run', { strategy, portfolio, currentPrice, scenarioIds, scenarios, options });
   },
 
-  calculateGreeks: async (S, K, T, r, sigma, optionType) => {
-    return apiClient.post('/calculate/greeks', { S, K, T, r, sigma, optionType });
+  // Backtesting
+  runBacktest: async (strategy, options = {}) => {
+    return apiClient.post('/backtest', { strategy, options });
   },
 
   // Health check